@@ -0,0 +1,1422 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+import Bowser from "bowser";
+import { fetchData } from "./storage.js";
+import { makeDriftController } from "./driftController.js";
+import { waveformFor } from "./waveform.js";
+import { parseVTT, captionAt } from "./captions.js";
+import { fileProblems, durationProblems } from "./integrity.js";
+import { RETRY_DELAYS, mediaError, describeLoadError, fetchWithProgress } from "./loading.js";
+
+const { View } = Croquet;
+const ENGINE_KEY = 'croquet-audio-sync-engine'; // localStorage key for this device's choice of playback engine
+const TRACK_KEY = 'croquet-audio-sync-track'; // localStorage key for the label of the preferred audio track
+const CAPTIONS_KEY = 'croquet-audio-sync-captions'; // localStorage key for the label of the preferred captions, or "off"
+const CAPTION_SIZE_KEY = 'croquet-audio-sync-caption-size'; // localStorage key for the caption text size
+const LATENCY_KEY = 'croquet-audio-sync-latency'; // localStorage key for this device's output latency, in ms
+const MAX_OUTPUT_LATENCY = 500; // ms
+const CLICK_SCHEDULE_INTERVAL = 100; // ms between checks for the next calibration click to schedule
+const CUE_HOVER_PX = 5; // how close the pointer must be to a cue marker to show its label
+const STARTING_VOLUME = 0.2; // proportion of the set volume that an audio element starts at, until its timing has been checked
+const RESUME_WAIT_MS = 200; // how long to give an AudioContext to resume without a user gesture
+
+const browserInfo = Bowser.parse(window.navigator.userAgent);
+const platformName = `${browserInfo.platform.type} ${browserInfo.os.name} ${browserInfo.os.version} ${browserInfo.browser.name} ${browserInfo.browser.version}`;
+
+class TimeBarView {
+    constructor() {
+        this.element = document.getElementById('timebar');
+        this.cues = []; // { proportion, label }
+        this.waveform = null; // { peaks, rms }, if we have one for the current audio
+        window.addEventListener('resize', () => this.onWindowResize(), false);
+        this.onWindowResize();
+
+        this.rootView = null;
+        this.lastDragProportion = null;
+        this.lastDrawnProportion = null;
+
+        const container = document.getElementById('container');
+        container.addEventListener('pointerup', evt => this.onContainerClick(evt)); // pointerdown doesn't seem to satisfy the conditions for immediately activating a video, at least on Android
+        this.element.addEventListener('pointermove', evt => this.onHover(evt));
+    }
+
+    setView(view) {
+        this.rootView = view;
+        this.drawPlaybar(0);
+    }
+
+    onPointerDown(evt) {
+        evt.stopPropagation();
+        if (!this.rootView) return;
+
+        this.dragging = true;
+        this.dragAtOffset(evt.offsetX);
+        evt.preventDefault();
+    }
+
+    onPointerUp(evt) {
+        evt.stopPropagation();
+        if (!this.rootView) return;
+
+        this.dragging = false;
+        evt.preventDefault();
+    }
+
+    // already throttled
+    onPointerMove(evt) {
+        if (!this.rootView) return;
+        if (!this.dragging) return;
+
+        this.dragAtOffset(evt.offsetX);
+        evt.preventDefault();
+    }
+
+    dragAtOffset(offsetX) {
+        const barWidth = this.element.width;
+        const timeProportion = Math.max(0, Math.min(1, offsetX / barWidth));
+        if (this.lastDragProportion === timeProportion) return;
+
+        this.lastDragProportion = timeProportion;
+        this.rootView.handleTimebar(timeProportion);
+    }
+
+    onWindowResize() {
+        const canvas = this.element;
+        const rect = canvas.getBoundingClientRect();
+        canvas.width = rect.width;
+        canvas.height = rect.height;
+        // clear saved portion to force redraw
+        const portion = this.lastDrawnProportion;
+        this.lastDrawnProportion = null;
+        this.drawPlaybar(portion);
+    }
+
+    onContainerClick(evt) {
+        if (!this.rootView) return;
+
+        this.rootView.handleUserClick(evt);
+        evt.preventDefault();
+    }
+
+    // cues are the model's { time, label } cue points for media of the given duration
+    setCues(cues, duration) {
+        this.cues = duration ? cues.map(({ time, label }) => ({ proportion: time / duration, label })) : [];
+        // clear saved portion to force redraw
+        const portion = this.lastDrawnProportion;
+        this.lastDrawnProportion = null;
+        this.drawPlaybar(portion || 0);
+    }
+
+    setWaveform(waveform) {
+        this.waveform = waveform;
+        // clear saved portion to force redraw
+        const portion = this.lastDrawnProportion;
+        this.lastDrawnProportion = null;
+        this.drawPlaybar(portion || 0);
+    }
+
+    // show the label of any cue marker under the pointer
+    onHover(evt) {
+        const { width } = this.element;
+        const cue = this.cues.find(({ proportion }) => Math.abs(proportion * width - evt.offsetX) <= CUE_HOVER_PX);
+        this.element.title = cue ? cue.label : '';
+    }
+
+    drawPlaybar(portion) {
+        if (this.lastDrawnProportion === portion) return;
+
+        this.lastDrawnProportion = portion;
+
+        const canvas = this.element;
+        const ctx = canvas.getContext('2d');
+        /* eslint-disable-next-line no-self-assign */
+        canvas.width = canvas.width;
+        if (this.waveform) this.drawWaveform(ctx, portion);
+        else {
+            ctx.fillStyle = '#ff4444';
+            ctx.fillRect(0, 0, canvas.width * portion, canvas.height);
+        }
+        ctx.fillStyle = '#333333';
+        this.cues.forEach(({ proportion }) => ctx.fillRect(Math.round(canvas.width * proportion) - 1, 0, 2, canvas.height));
+    }
+
+    // one column per pixel, showing the peak level in a light shade and the
+    // RMS level in a darker one.  the part already played is in red.
+    drawWaveform(ctx, portion) {
+        const { width, height } = this.element;
+        const { peaks, rms } = this.waveform;
+        const buckets = peaks.length;
+        const played = width * portion;
+        const middle = height / 2;
+        for (let x = 0; x < width; x++) {
+            const start = Math.floor(x * buckets / width), end = Math.max(start + 1, Math.floor((x + 1) * buckets / width));
+            let peak = 0, level = 0;
+            for (let b = start; b < end; b++) {
+                peak = Math.max(peak, peaks[b]);
+                level = Math.max(level, rms[b]);
+            }
+            const isPlayed = x < played;
+            ctx.fillStyle = isPlayed ? '#ff9999' : '#cccccc';
+            ctx.fillRect(x, middle * (1 - peak), 1, Math.max(1, height * peak));
+            ctx.fillStyle = isPlayed ? '#ff4444' : '#888888';
+            ctx.fillRect(x, middle * (1 - level), 1, Math.max(1, height * level));
+        }
+    }
+}
+
+// some browsers - Safari on iOS, notably - ignore an element's volume, which
+// always reads back as 1
+let elementVolumeIgnored = null;
+function isElementVolumeIgnored() {
+    if (elementVolumeIgnored === null) {
+        const audio = document.createElement('audio');
+        audio.volume = 0.5;
+        elementVolumeIgnored = audio.volume !== 0.5;
+    }
+    return elementVolumeIgnored;
+}
+
+// whether an AudioContext is running, or can be got running without a user
+// gesture.  some browsers keep a resume() pending until there has been one,
+// so we only wait a moment.
+async function contextRunning(context) {
+    if (context.state !== 'running') {
+        const resumed = context.resume().catch(() => { /* needs a gesture */ });
+        await Promise.race([resumed, new Promise(resolve => setTimeout(resolve, RESUME_WAIT_MS))]);
+    }
+    return context.state === 'running';
+}
+
+// AudioView is an interface over an HTML audio element.
+// its readyPromise resolves once the audio is available to play, or rejects
+// with a load error (see loading.js) if it can't be.
+// the audio doesn't loop; moving on at the end is up to the shared model.
+// where the browser ignores the element's volume, the element is played
+// through a Web Audio gain node on the given AudioContext instead.
+// with streaming true, the url is the file's own rather than an object URL:
+// the element fetches by range from wherever it's sent, so we wait only for
+// the metadata.
+export class AudioView {
+    constructor(url, audioContext, streaming = false) {
+        this.url = url;
+        this.streaming = streaming;
+        this.audio = document.createElement('audio');
+        this.audio.autoplay = false;
+        this.audio.loop = false;
+        this.context = audioContext;
+        this.gainNode = null;
+        if (audioContext && isElementVolumeIgnored()) {
+            this.gainNode = audioContext.createGain();
+            audioContext.createMediaElementSource(this.audio).connect(this.gainNode);
+            this.gainNode.connect(audioContext.destination);
+        }
+        this.engine = 'element';
+        this.startFudge = 0.1; // seconds to add to a start time, to allow for the element getting going
+        this.seekLostTime = 0.2; // empirically, it seems that doing a jump introduces about this much delay
+        this.isPlaying = false;
+        this.isBlocked = false; // unless we find out to the contrary, on trying to play
+        this.heldVolume = null; // while the element is silenced by canPlayUnprompted
+
+        this.readyPromise = new Promise((resolved, rejected) => {
+            this._ready = () => resolved(this);
+            this._failed = rejected;
+        });
+
+        const loaded = () => {
+            this.duration = this.audio.duration; // ondurationchange is (apparently) always ahead of oncanplay
+            this._ready();
+        };
+        this.audio.oncanplay = loaded;
+        this.audio.onloadedmetadata = () => {
+            if (this.streaming) loaded();
+        };
+
+        this.audio.onerror = () => {
+            const error = mediaError(this.audio);
+            console.log(`Audio Error`, error);
+            this._failed(error); // if it hasn't already loaded
+        };
+
+        this.audio.crossOrigin = "anonymous";
+
+        if (!this.audio.canPlayType("audio/mpeg").match(/maybe|probably/i)) {
+            console.log("apparently can't play audio");
+        }
+
+        this.audio.preload = streaming ? 'metadata' : 'auto';
+        this.audio.src = this.url;
+        this.audio.load();
+    }
+
+    width() { return 1; }
+    height() { return 1; }
+
+    // switch to different audio in the same element - which, once it has been
+    // allowed to play, can then carry on without needing another user gesture.
+    // the audio is a blob, or the URL of a file to stream.  resolves once the
+    // new audio is available to play.
+    setSource(source) {
+        this.pause();
+        URL.revokeObjectURL(this.url);
+        this.streaming = typeof source === 'string';
+        this.url = this.streaming ? source : URL.createObjectURL(source);
+        return new Promise((resolved, rejected) => {
+            this._ready = () => resolved(this);
+            this._failed = rejected;
+            this.audio.preload = this.streaming ? 'metadata' : 'auto';
+            this.audio.src = this.url;
+            this.audio.load();
+        });
+    }
+
+    // the interface that SyncingAudioView uses, shared with BufferAudioView
+    currentTime() { return this.audio.currentTime; }
+    seek(audioTime) { this.audio.currentTime = this.clampedTime(audioTime, true); } // true => guarded from values too near the end
+    playbackRate() { return this.audio.playbackRate; }
+    setPlaybackRate(rate) { this.audio.playbackRate = rate; }
+    volume() {
+        if (this.gainNode) return this.gainNode.gain.value;
+        return this.heldVolume === null ? this.audio.volume : this.heldVolume;
+    }
+
+    setVolume(volume) {
+        if (this.gainNode) this.gainNode.gain.value = volume;
+        else if (this.heldVolume !== null) this.heldVolume = volume; // to be applied once canPlayUnprompted is done
+        else this.audio.volume = volume;
+    }
+
+    clampedTime(audioTime, guarded) {
+        if (this.duration) {
+            audioTime = Math.min(this.duration, audioTime); // the audio doesn't loop; it just stops at the end
+            if (guarded) audioTime = Math.min(this.duration - 0.1, audioTime); // a video element, at least, freaks out on being told to seek very close to the end.  maybe an audio element too.
+        }
+        return Math.max(0, audioTime);
+    }
+
+    async play(audioTime) {
+        // return true if audio play started successfully
+        this.audio.currentTime = this.clampedTime(audioTime, true);
+        this.isPlaying = true; // even if it turns out to be blocked by the browser
+        this.isBlocked = true; // so checkPlaybackTiming doesn't try to interfere
+        // following guidelines from https://developer.mozilla.org/docs/Web/API/HTMLMediaElement/play
+        try {
+            await this.audio.play(); // will throw exception if blocked
+            // with a gain node, the element is only heard while the context runs
+            this.isBlocked = !!this.gainNode && !(await contextRunning(this.context));
+            if (this.isBlocked) console.warn("audio context blocked");
+        } catch (err) {
+            console.warn("audio play blocked");
+        }
+        return !this.isBlocked;
+    }
+
+    pause(audioTime) {
+        this.isPlaying = this.isBlocked = false; // might not be blocked next time.
+        this.setStatic(audioTime);
+    }
+
+    setStatic(audioTime) {
+        if (audioTime !== undefined) this.audio.currentTime = this.clampedTime(audioTime, true); // true => guarded from values too near the end
+        this.audio.pause(); // no return value; synchronous, instantaneous?
+    }
+
+    // to be called from a user gesture ahead of a scheduled start, so that
+    // the element will then be allowed to play without one
+    unlock() {
+        const { audio } = this;
+        if (this.isPlaying) return;
+
+        if (this.gainNode) this.context.resume().catch(() => { /* still blocked */ });
+        audio.muted = true;
+        audio.play().then(() => {
+            if (!this.isPlaying) audio.pause();
+        }, () => { /* still blocked */ }).finally(() => audio.muted = false);
+    }
+
+    // whether the browser would let us play sound now, without a user
+    // gesture.  the element finds out by playing for a moment at zero volume.
+    async canPlayUnprompted() {
+        if (this.isPlaying) return !this.isBlocked;
+        if (this.gainNode) return contextRunning(this.context);
+
+        const { audio } = this;
+        this.heldVolume = audio.volume;
+        audio.volume = 0;
+        try {
+            await audio.play();
+            return true;
+        } catch (err) {
+            return false;
+        } finally {
+            if (!this.isPlaying) audio.pause();
+            audio.volume = this.heldVolume;
+            this.heldVolume = null;
+        }
+    }
+
+    dispose() {
+        try {
+            URL.revokeObjectURL(this.url);
+            if (this.gainNode) this.gainNode.disconnect();
+            if (this.texture) {
+                this.texture.dispose();
+                delete this.texture;
+            }
+            delete this.audio;
+        } catch (e) { console.warn(`error in AudioView cleanup: ${e}`); }
+    }
+}
+
+const BUFFER_START_LEAD = 0.05; // seconds ahead that a buffer source is scheduled, so it never starts late
+
+// BufferAudioView decodes the audio into an AudioBuffer, and plays it through
+// AudioBufferSourceNodes scheduled on the AudioContext's clock.  starts and
+// seeks are therefore sample-accurate, rather than at the whim of an audio
+// element.  it has the same interface as AudioView; its readyPromise rejects
+// if the audio can't be decoded.
+export class BufferAudioView {
+    constructor(blob, audioContext) {
+        this.context = audioContext;
+        this.engine = 'webaudio';
+        this.startFudge = 0;
+        this.seekLostTime = 0; // seeks are scheduled exactly
+        this.gain = audioContext.createGain();
+        this.gain.connect(audioContext.destination);
+        this.source = null;
+        this.rate = 1;
+        this.position = 0; // media time when not playing
+        this.anchor = null; // { contextTime, mediaTime } for the current source
+        this.isPlaying = false;
+        this.isBlocked = false; // unless we find out to the contrary, on trying to play
+
+        this.readyPromise = this.setSource(blob);
+    }
+
+    width() { return 1; }
+    height() { return 1; }
+
+    // decode and switch to different audio.  the AudioContext, once running,
+    // needs no further user gesture.
+    async setSource(blob) {
+        const data = await blob.arrayBuffer();
+        const buffer = await new Promise((resolve, reject) => this.context.decodeAudioData(data, resolve, reject)); // callback form, for older Safari
+        this.pause();
+        this.buffer = buffer;
+        this.duration = buffer.duration;
+        return this;
+    }
+
+    clampedTime(audioTime, guarded) {
+        if (this.duration) {
+            audioTime = Math.min(this.duration, audioTime);
+            if (guarded) audioTime = Math.min(this.duration - 0.1, audioTime);
+        }
+        return Math.max(0, audioTime);
+    }
+
+    currentTime() {
+        const { anchor } = this;
+        if (!anchor) return this.position;
+
+        const elapsed = Math.max(0, this.context.currentTime - anchor.contextTime);
+        return Math.min(this.duration, anchor.mediaTime + elapsed * this.rate);
+    }
+
+    seek(audioTime) {
+        if (this.source) this.startSource(audioTime);
+        else this.position = this.clampedTime(audioTime, true);
+    }
+
+    playbackRate() { return this.rate; }
+
+    setPlaybackRate(rate) {
+        if (this.anchor) this.anchor = { contextTime: this.context.currentTime, mediaTime: this.currentTime() };
+        this.rate = rate;
+        if (this.source) this.source.playbackRate.value = rate;
+    }
+
+    volume() { return this.gain.gain.value; }
+    setVolume(volume) { this.gain.gain.value = volume; }
+
+    async play(audioTime) {
+        // return true if audio play started successfully
+        const requested = Date.now();
+        this.isPlaying = true; // even if it turns out to be blocked by the browser
+        this.isBlocked = true; // so checkPlaybackTiming doesn't try to interfere
+        if (this.context.state !== 'running') {
+            try {
+                await this.context.resume(); // only allowed in response to a user gesture
+            } catch (err) { /* handled below */ }
+        }
+        if (this.context.state !== 'running') {
+            console.warn("audio context blocked");
+            return false;
+        }
+        if (!this.isPlaying) return false; // paused while we were waiting
+
+        this.isBlocked = false;
+        // allow for however long it took to resume
+        this.startSource(audioTime + (Date.now() - requested) / 1000);
+        return true;
+    }
+
+    startSource(audioTime) {
+        this.stopSource();
+        const source = this.source = this.context.createBufferSource();
+        source.buffer = this.buffer;
+        source.playbackRate.value = this.rate;
+        source.connect(this.gain);
+
+        const contextTime = this.context.currentTime + BUFFER_START_LEAD;
+        const mediaTime = this.clampedTime(audioTime + BUFFER_START_LEAD * this.rate, true);
+        source.start(contextTime, mediaTime);
+        this.anchor = { contextTime, mediaTime };
+    }
+
+    stopSource() {
+        if (!this.source) return;
+
+        this.position = this.currentTime();
+        try { this.source.stop(); } catch (e) { /* never started */ }
+        this.source.disconnect();
+        this.source = null;
+        this.anchor = null;
+    }
+
+    pause(audioTime) {
+        this.isPlaying = this.isBlocked = false; // might not be blocked next time.
+        this.setStatic(audioTime);
+    }
+
+    setStatic(audioTime) {
+        this.stopSource();
+        if (audioTime !== undefined) this.position = this.clampedTime(audioTime, true);
+    }
+
+    unlock() {
+        this.context.resume().catch(() => { /* still blocked */ });
+    }
+
+    canPlayUnprompted() {
+        return contextRunning(this.context);
+    }
+
+    dispose() {
+        try {
+            this.stopSource();
+            this.gain.disconnect();
+            delete this.buffer;
+        } catch (e) { console.warn(`error in BufferAudioView cleanup: ${e}`); }
+    }
+}
+
+// ClickTrack plays a short click at every whole second of session time, for
+// calibrating a device's output latency by ear: with the right offset, its
+// clicks line up with those of every other calibrated device in the room.
+class ClickTrack {
+    constructor(audioContext, sessionNow) {
+        this.context = audioContext;
+        this.sessionNow = sessionNow; // function returning session time in ms
+        this.latency = 0; // seconds; clicks are emitted this much early
+        this.interval = null;
+        this.lastScheduled = null;
+    }
+
+    start() {
+        if (this.interval) return;
+
+        this.context.resume().catch(() => { /* needs a gesture, after all */ }); // we're presumably in a user gesture
+        this.interval = setInterval(() => this.scheduleClicks(), CLICK_SCHEDULE_INTERVAL);
+        this.scheduleClicks();
+    }
+
+    stop() {
+        if (!this.interval) return;
+
+        clearInterval(this.interval);
+        this.interval = null;
+        this.lastScheduled = null;
+    }
+
+    // schedule the next click on the AudioContext's clock, if it's coming up
+    scheduleClicks() {
+        const ctx = this.context;
+        const now = this.sessionNow();
+        const nextClick = Math.ceil(now / 1000) * 1000;
+        if (nextClick === this.lastScheduled) return;
+
+        const when = ctx.currentTime + (nextClick - now) / 1000 - this.latency;
+        if (when < ctx.currentTime) return; // too late for this one
+
+        this.lastScheduled = nextClick;
+        const osc = ctx.createOscillator();
+        const env = ctx.createGain();
+        osc.frequency.value = 1000;
+        env.gain.setValueAtTime(1, when);
+        env.gain.exponentialRampToValueAtTime(0.001, when + 0.03);
+        osc.connect(env);
+        env.connect(ctx.destination);
+        osc.start(when);
+        osc.stop(when + 0.03);
+    }
+}
+
+const timebarView = new TimeBarView(); // used by both conductor and audience, for now
+
+export class SyncingAudioView extends View {
+    constructor(model) {
+        super(model);
+        this.model = model;
+
+// this.realm.island.controller.connection.send(JSON.stringify({ id: this.sessionId, action: 'PING', args: Date.now() }));
+
+        timebarView.setView(this);
+
+        this.enableSoundIcon = document.getElementById('soundon');
+        this.playIcon = document.getElementById('play');
+        this.container = document.getElementById('container');
+        this.promptElem = document.getElementById('prompt');
+        this.countdownElem = document.getElementById('countdown');
+        document.getElementById('options').addEventListener('pointerup', evt => evt.stopPropagation()); // not a request to unblock the sound
+
+        // the playback engine is chosen per device, and remembered
+        this.engineElem = document.getElementById('engine');
+        this.engineElem.value = window.localStorage.getItem(ENGINE_KEY) || 'element';
+        this.engineElem.onchange = () => {
+            window.localStorage.setItem(ENGINE_KEY, this.engineElem.value);
+            if (this.model.audioAsset) this.assetsChanged(); // reload with the new engine
+        };
+
+        // if there are alternative audio tracks, the user picks one.  we
+        // remember the label, so the same choice (e.g., a language) carries
+        // over to later items.
+        this.trackElem = document.getElementById('track');
+        this.trackElem.onchange = () => this.switchTrack(this.trackElem.value);
+
+        // likewise for captions, if the entry has any - with "off" as a
+        // choice, and the text size too
+        this.captionsElem = document.getElementById('captions');
+        this.captionTrackElem = document.getElementById('caption-track');
+        this.captionTrackElem.onchange = () => this.switchCaptions(this.captionTrackElem.value);
+        this.captionSizeElem = document.getElementById('caption-size');
+        this.captionSizeElem.onchange = () => this.setCaptionSize(this.captionSizeElem.value);
+        this.setCaptionSize(window.localStorage.getItem(CAPTION_SIZE_KEY) || 'medium');
+        this.captionTrack = null;
+        this.captionCues = []; // { start, end, text }, once loaded
+
+        this.subscribe('model', { event: 'assets-changed', handling: 'oncePerFrameWhileSynced' }, this.assetsChanged);
+        this.subscribe('model', 'play-state-changed', this.playStateChanged);
+        this.subscribe('model', { event: 'start-offset-changed', handling: 'immediate' }, this.startOffsetChanged);
+        this.subscribe('model', { event: 'seeked', handling: 'immediate' }, this.seeked);
+        this.subscribe(this.viewId, { event: 'synced', handling: 'immediate' }, this.handleSyncState);
+        this.subscribe(this.viewId, { event: 'reportReceived', handling: 'immediate' }, this.reportReceived);
+        this.subscribe('model', 'drift-policy-changed', this.driftPolicyChanged);
+        this.subscribe('model', 'playback-ended', this.showPrompt);
+        this.subscribe('model', { event: 'rate-changed', handling: 'immediate' }, this.rateChanged);
+        this.subscribe('model', 'pending-start-changed', this.pendingStartChanged);
+        this.subscribe('model', 'cues-changed', this.showCues);
+        this.subscribe('model', 'stems-changed', this.stemsChanged);
+        this.appliedVolume = null; // and the audio view it was applied to
+        this.volumeAppliedTo = null;
+        this.startingQuietly = false; // see applyPlayState
+        this.stemElem = document.getElementById('stem');
+
+        this.audioView = null;
+        this.audioEntry = null; // the playlist entry that the audio is for
+        this.startTimer = null; // for a scheduled start
+        this.driftController = this.makeDriftController();
+        this.awaitingGesture = false; // play was blocked by the browser, pending a user gesture
+        this.soundAllowed = false; // known to be allowed to play sound without a further gesture
+        this.lifecycle = null; // and lifecycleProgress and lifecycleError: as last reported (see setLifecycle)
+        this.lifecycleProgress = null;
+        this.lifecycleError = null;
+
+        // loads that fail are retried (see loadFailed), or can be retried by hand
+        this.loadingStatusElem = document.getElementById('loading-status');
+        this.retryElem = document.getElementById('retry');
+        this.retryElem.onclick = () => {
+            this.loadAttempts = 0;
+            this.retryLoad();
+        };
+        document.getElementById('loading').addEventListener('pointerup', evt => evt.stopPropagation()); // not a request to unblock the sound
+        this.loadingAsset = null;
+        this.loadError = null; // as shown on the page
+        this.loadAttempts = 0; // failures since the last successful load
+        this.retryTimer = null;
+
+        // an answer by Jaakko Karhu on https://stackoverflow.com/questions/9811429/html5-audio-tag-on-safari-has-a-delay claims that simply the creation of an AudioContext removes some delays in Safari audio.  i'm not sure it doesn't.
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+        // the delay between this device producing sound and it being heard (e.g.,
+        // over bluetooth), which we play ahead to make up for.  remembered per
+        // device, and set by ear in calibration mode.
+        this.clickTrack = new ClickTrack(this.audioContext, () => this.extrapolatedNow());
+        this.latencyElem = document.getElementById('latency');
+        this.latencyValueElem = document.getElementById('latency-value');
+        this.latencyElem.oninput = () => this.setOutputLatency(Number(this.latencyElem.value));
+        document.getElementById('calibrate').onclick = () => this.toggleCalibration();
+        document.getElementById('estimate-latency').onclick = () => this.setOutputLatency(this.estimatedOutputLatency());
+        const storedLatency = window.localStorage.getItem(LATENCY_KEY);
+        this.setOutputLatency(storedLatency === null ? this.estimatedOutputLatency() : Number(storedLatency));
+
+        // phones locking and tabs going to the background throttle our timers,
+        // and can suspend the audio.  tell the conductor, and on return get
+        // back in sync straight away rather than waiting for the next check.
+        this.suspended = false; // or the reason
+        this.onVisibilityChange = () => {
+            if (document.hidden) this.suspend('hidden');
+            else this.resume();
+        };
+        this.onPageHide = () => this.suspend('pagehide');
+        this.onPageShow = () => this.resume();
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        window.addEventListener('pagehide', this.onPageHide);
+        window.addEventListener('pageshow', this.onPageShow);
+        this.audioContext.onstatechange = () => this.audioContextStateChanged();
+        this.setUpMediaSession();
+
+        if (this.model.audioAsset) this.assetsChanged();
+        this.publish('audience', 'hello', { viewId: this.viewId }); // to be given a stem, if there are any
+window.mainView = this;
+    }
+
+    // isRetry is true for another attempt at a load that failed
+    async assetsChanged(isRetry) {
+        this.disposeOfAudio(); // discard any loaded or loading audio
+        if (!isRetry) this.loadAttempts = 0;
+        this.audioEntry = this.model.playlist[this.model.currentIndex] || null;
+
+        if (!this.model.audioAsset) { // playlist has been emptied
+            this.loadError = null;
+            this.showLoading();
+            this.loadCaptions();
+            this.showCues();
+            timebarView.setWaveform(null);
+            timebarView.drawPlaybar(0);
+            return;
+        }
+
+        this.waitingForSync = !this.realm.isSynced(); // this can flip back and forth
+
+        const { isPlaying, startOffset, pausedTime } = this.model;
+        this.latestPlayState = { isPlaying, startOffset, pausedTime };
+        const audioAsset = this.audioTrack = this.chooseTrack();
+        this.showTracks();
+        this.loadCaptions();
+
+        View.displayStatus(`Fetching ${audioAsset.name}`);
+
+        let okToGo = true; // unless cancelled by another load, or a shutdown
+        this.abandonLoad = () => okToGo = false;
+
+        try {
+            this.startLoading(audioAsset);
+            const source = await this.sourceFor(audioAsset, progress => okToGo && this.setLifecycle('fetching', progress));
+            const audioView = await this.makeAudioView(source);
+            this.reportProblems(audioAsset, durationProblems(audioAsset, audioView.duration));
+
+            if (!okToGo) { // been cancelled
+                audioView.dispose();
+                return;
+            }
+            delete this.abandonLoad;
+
+            this.loadAttempts = 0;
+            this.audioView = audioView;
+            this.driftController = this.makeDriftController();
+            if (audioView.audio) this.container.appendChild(audioView.audio);
+            this.showCues();
+            this.showWaveform(audioAsset, source);
+
+            this.applyPlayState();
+            this.lastTimingCheck = Date.now() + 500; // let it settle before we try to adjust
+            if (this.model.pendingStart) this.pendingStartChanged();
+            this.showMediaSession();
+
+        } catch (err) {
+            if (okToGo) this.loadFailed(audioAsset, err);
+        }
+    }
+
+    startLoading(asset) {
+        clearTimeout(this.retryTimer);
+        this.loadingAsset = asset;
+        this.loadError = null;
+        this.setLifecycle('fetching');
+        this.showLoading();
+    }
+
+    // say what went wrong, on the page and to the conductor, and try again
+    // after a while - waiting longer each time, until we've run through
+    // RETRY_DELAYS.  the user can retry at any point.
+    loadFailed(asset, err) {
+        console.error(err);
+        const message = describeLoadError(err, asset);
+        if (this.audioView) this.setLifecycle(this.loadedLifecycle()); // carrying on with what we had
+        else this.setLifecycle('failed', null, message);
+        const delay = RETRY_DELAYS[this.loadAttempts++];
+        this.loadError = delay === undefined ? message : `${message}; trying again in ${delay / 1000}s`;
+        this.showLoading();
+        if (delay !== undefined) this.retryTimer = setTimeout(() => this.retryLoad(), delay);
+    }
+
+    // a fresh start on whatever we should be playing
+    retryLoad() {
+        clearTimeout(this.retryTimer);
+        this.assetsChanged(true);
+    }
+
+    // progress while fetching, or what went wrong
+    showLoading() {
+        let text = '';
+        if (this.loadError) text = this.loadError;
+        else if (this.lifecycle === 'fetching') {
+            const progress = this.lifecycleProgress;
+            text = `loading ${this.loadingAsset.name}${progress === null ? '' : ` ${Math.round(progress * 100)}%`}`;
+        }
+        this.loadingStatusElem.textContent = text;
+        this.retryElem.style.display = this.loadError ? '' : 'none';
+    }
+
+    // not for a streamed file, which is never all here at once
+    async showWaveform(asset, source) {
+        timebarView.setWaveform(null);
+        if (typeof source === 'string') return;
+
+        try {
+            const waveform = await waveformFor(asset, source, this.audioContext);
+            if (this.audioTrack === asset) timebarView.setWaveform(waveform); // unless we've moved on meanwhile
+        } catch (err) { console.warn(`no waveform for ${asset.name}: ${err}`); }
+    }
+
+    showCues() {
+        timebarView.setCues(this.model.cues, this.audioView ? this.audioView.duration : 0);
+    }
+
+    // our assigned stem, if the entry has stems.  otherwise the remembered
+    // choice of track, if there is one.
+    chooseTrack() {
+        const stem = this.assignedStem();
+        if (stem) return stem;
+
+        const { audioTracks } = this.model;
+        const preferred = window.localStorage.getItem(TRACK_KEY);
+        return audioTracks.find(track => track.label === preferred) || audioTracks[0];
+    }
+
+    assignedStem() {
+        const label = this.model.stemAssignments[this.viewId];
+        return this.model.stems.find(stem => stem.label === label) || null;
+    }
+
+    showTracks() {
+        const { audioTracks } = this.model;
+        const stem = this.assignedStem();
+        this.stemElem.textContent = stem ? `playing ${stem.label}` : '';
+        this.stemElem.style.display = stem ? '' : 'none';
+        const select = this.trackElem;
+        select.textContent = '';
+        audioTracks.forEach(track => {
+            const option = document.createElement('option');
+            option.value = option.textContent = track.label;
+            select.appendChild(option);
+        });
+        select.value = this.audioTrack.label;
+        select.parentNode.style.display = audioTracks.length > 1 && !stem ? '' : 'none';
+    }
+
+    // our stem may have changed: a new view joining doesn't move anyone,
+    // but the conductor can.  stems are also dealt afresh for each entry,
+    // but loading a new entry is for assetsChanged, which follows.
+    stemsChanged() {
+        if (this.model.playlist[this.model.currentIndex] !== this.audioEntry) return;
+
+        const track = this.chooseTrack();
+        if (!track || track === this.audioTrack) return;
+
+        if (this.audioView) this.loadTrack(track);
+        else if (this.abandonLoad) this.assetsChanged(); // start the load again, with the right stem
+    }
+
+    switchTrack(label) {
+        window.localStorage.setItem(TRACK_KEY, label);
+        const track = this.model.audioTracks.find(t => t.label === label);
+        if (track && track !== this.audioTrack) this.loadTrack(track);
+    }
+
+    // load a track (or stem) into the existing audio view, and carry on from
+    // wherever the session has got to
+    async loadTrack(track) {
+        const { audioView } = this;
+        if (!audioView) return;
+
+        View.displayStatus(`Fetching ${track.name}`);
+        let switching = false;
+        try {
+            this.startLoading(track);
+            const source = await this.sourceFor(track, progress => this.audioView === audioView && this.setLifecycle('fetching', progress));
+            if (this.audioView !== audioView) return; // assets have changed meanwhile
+
+            switching = true;
+            await audioView.setSource(source);
+            if (this.audioView !== audioView) return;
+
+            this.loadAttempts = 0;
+            this.reportProblems(track, durationProblems(track, audioView.duration));
+            this.audioTrack = track;
+            this.showTracks();
+            this.applyPlayState();
+            this.showMediaSession();
+            this.showWaveform(track, source);
+        } catch (err) {
+            if (this.audioView !== audioView) return;
+
+            this.trackElem.value = this.audioTrack.label;
+            if (switching && audioView.audio) this.disposeOfAudio(); // the element has let go of the old track
+            this.loadFailed(track, err); // a retry loads the track afresh
+        }
+    }
+
+    // captions are fetched and parsed whole, then shown by update() on
+    // every frame
+    async loadCaptions() {
+        const track = this.captionTrack = this.chooseCaptions();
+        this.captionCues = [];
+        this.captionsElem.lang = track && track.language || '';
+        this.showCaptionTracks();
+        if (!track) return;
+
+        try {
+            const blob = await this.blobFor(track);
+            const cues = parseVTT(await blob.text());
+            if (this.captionTrack === track) this.captionCues = cues; // unless we've moved on meanwhile
+        } catch (err) { console.warn(`no captions from ${track.name}: ${err}`); }
+    }
+
+    // the remembered choice, if this entry has it.  otherwise, until the
+    // user has chosen, captions in the browser's language.
+    chooseCaptions() {
+        const { captionTracks } = this.model;
+        const preferred = window.localStorage.getItem(CAPTIONS_KEY);
+        if (preferred === 'off') return null;
+
+        const browserLanguage = (navigator.language || '').split('-')[0];
+        const inBrowserLanguage = preferred ? null : captionTracks.find(track => track.language && track.language.split('-')[0] === browserLanguage);
+        return captionTracks.find(track => track.label === preferred) || inBrowserLanguage || null;
+    }
+
+    showCaptionTracks() {
+        const { captionTracks } = this.model;
+        const select = this.captionTrackElem;
+        select.textContent = '';
+        [{ label: 'off' }, ...captionTracks].forEach(track => {
+            const option = document.createElement('option');
+            option.value = option.textContent = track.label;
+            select.appendChild(option);
+        });
+        select.value = this.captionTrack ? this.captionTrack.label : 'off';
+        const display = captionTracks.length ? '' : 'none';
+        select.parentNode.style.display = this.captionSizeElem.parentNode.style.display = display;
+    }
+
+    switchCaptions(label) {
+        window.localStorage.setItem(CAPTIONS_KEY, label);
+        this.loadCaptions();
+    }
+
+    setCaptionSize(size) {
+        window.localStorage.setItem(CAPTION_SIZE_KEY, size);
+        this.captionSizeElem.value = size;
+        this.captionsElem.className = size;
+    }
+
+    // the caption for where the audio should be - or, if paused, where it
+    // has stopped.  the audio runs ahead by the output latency, to be heard
+    // on time, but the text is seen straight away.
+    showCaption() {
+        const state = this.latestPlayState;
+        let text = '';
+        if (state && this.captionCues.length) {
+            const time = state.isPlaying ? this.calculateAudioTime() - this.outputLatencyMS * this.model.rate / 1000 : (state.pausedTime || 0);
+            text = captionAt(this.captionCues, time);
+        }
+        if (this.captionsElem.textContent !== text) this.captionsElem.textContent = text;
+    }
+
+    // source is a blob, or the URL of a file to stream.  Web Audio has to
+    // decode the whole file, so a streamed one always gets an audio element.
+    async makeAudioView(source) {
+        if (typeof source === 'string') return (new AudioView(source, this.audioContext, true)).readyPromise;
+
+        if (this.engineElem.value === 'webaudio') {
+            try {
+                return await (new BufferAudioView(source, this.audioContext)).readyPromise;
+            } catch (err) {
+                console.warn(`audio decoding failed (${err}); falling back to an audio element`);
+            }
+        }
+        return (new AudioView(URL.createObjectURL(source), this.audioContext)).readyPromise;
+    }
+
+    // an asset added to be streamed is played straight from its URL (see
+    // AudioView); anything else is fetched whole
+    async sourceFor(asset, onProgress) {
+        return asset.stream ? asset.fileUrl : this.blobFor(asset, onProgress);
+    }
+
+    makeDriftController() {
+        // the engine determines how much time a jump loses
+        const options = this.audioView ? { jumpLostTime: this.audioView.seekLostTime } : {};
+        return makeDriftController(this.model.driftPolicy, options);
+    }
+
+    adjustPlaybar() {
+        const time = this.latestPlayState.isPlaying && !this.audioView.isBlocked ? this.audioView.currentTime() : (this.latestPlayState.pausedTime || 0);
+        timebarView.drawPlaybar(time / this.audioView.duration);
+    }
+
+    playStateChanged(rawData) {
+        const data = { ...rawData }; // take a copy that we can play with
+
+        const latest = this.latestPlayState;
+        // ignore if we've heard this one before (such as a scheduled start
+        // that we made by our own timer)
+        if (latest && ['isPlaying', 'startOffset', 'pausedTime'].every(key => data[key] === latest[key])) return;
+
+        this.latestPlayState = data;
+        this.applyPlayState(); // will be ignored if we're still initialising
+    }
+
+    startOffsetChanged(startOffset) {
+        const { isPlaying } = this.latestPlayState;
+        if (isPlaying) {
+            this.latestPlayState.startOffset = startOffset;
+            this.checkPlaybackTiming();
+        }
+    }
+
+    // the conductor has moved the playhead while playing.  unlike drift, this
+    // calls for an immediate jump, whatever the drift controller's cooldown.
+    seeked(startOffset) {
+        if (!this.latestPlayState || !this.latestPlayState.isPlaying) return;
+
+        this.latestPlayState.startOffset = startOffset;
+        const { audioView } = this;
+        if (!audioView || !audioView.isPlaying || audioView.isBlocked) return;
+
+        audioView.seek(this.calculateAudioTime() + audioView.seekLostTime);
+        this.driftController.reset(Date.now());
+        this.adjustPlaybar();
+    }
+
+    applyPlayState() {
+        if (!this.audioView || this.waitingForSync) return;
+
+        const { audioView } = this;
+
+        if (!this.latestPlayState.isPlaying) {
+            this.iconVisible('play', true);
+            this.iconVisible('enableSound', false);
+            this.awaitingGesture = false;
+            audioView.pause(this.latestPlayState.pausedTime);
+            this.checkSoundAllowed();
+        } else {
+            // allow an immediate jump, but don't adjust rate until playback has
+            // settled in, and after any emergency jump we decide to do
+            this.driftController.reset(Date.now());
+            this.iconVisible('play', false);
+            audioView.setPlaybackRate(this.model.rate * (1 + this.driftController.boost * 0.01));
+            // an audio element starts quietly, until checkPlaybackTiming has
+            // had a chance to adjust or jump it
+            this.startingQuietly = audioView.engine === 'element';
+            this.applyVolume();
+            this.jumpIfNeeded = false;
+const randomizeStart = false; // $$$ set true for testing
+const randomOffset = randomizeStart ? Math.random() : 0; // seconds
+            audioView.play(this.calculateAudioTime() + audioView.startFudge + randomOffset).then(playStarted => {
+                this.awaitingGesture = !playStarted;
+                this.iconVisible('enableSound', !playStarted);
+                if (playStarted) this.soundAllowed = true;
+                if (this.audioView === audioView) this.setLifecycle(this.loadedLifecycle());
+                });
+        }
+
+        this.showPrompt();
+        this.adjustPlaybar();
+        this.showMediaSession();
+    }
+
+    // "the end", once the model has stopped playback at the end of the
+    // playlist.  before that, a nudge to enable sound if we'll need it.
+    showPrompt() {
+        let text = '';
+        if (this.model.hasEnded) text = "the end";
+        else if (this.lifecycle === 'decoded') text = "tap to enable sound";
+        this.promptElem.textContent = text;
+    }
+
+    // tell the conductor how far we've got with the current audio:
+    // 'fetching' (with progress from 0 to 1, where known), 'decoded' (but
+    // the browser wants a user gesture before it will play sound), 'ready',
+    // 'blocked' (on trying to play), 'playing' or 'failed' (with an error
+    // message).  the conductor can hold a start until enough of the
+    // audience is ready.
+    setLifecycle(lifecycle, progress = null, error = null) {
+        if (progress !== null) progress = Math.floor(progress * 10) / 10; // steps of 10% are plenty
+        if (lifecycle === this.lifecycle && progress === this.lifecycleProgress && error === this.lifecycleError) return;
+
+        this.lifecycle = lifecycle;
+        this.lifecycleProgress = progress;
+        this.lifecycleError = error;
+        this.publish('audience', 'report', { viewId: this.viewId, teatime: this.now(), platform: platformName, lifecycle, progress, error });
+        this.showPrompt();
+        this.showLoading();
+    }
+
+    // where we stand, once the audio is loaded
+    loadedLifecycle() {
+        const { audioView } = this;
+        if (audioView.isPlaying) return audioView.isBlocked ? 'blocked' : 'playing';
+        return this.soundAllowed ? 'ready' : 'decoded';
+    }
+
+    // while paused: find out whether we could play without a user gesture,
+    // if we don't know already, and report accordingly
+    async checkSoundAllowed() {
+        const { audioView } = this;
+        if (!this.soundAllowed) this.soundAllowed = await audioView.canPlayUnprompted();
+        if (this.audioView === audioView && !audioView.isPlaying) this.setLifecycle(this.loadedLifecycle());
+    }
+
+    suspend(reason) {
+        if (this.suspended) return;
+
+        this.suspended = reason;
+        this.publish('audience', 'report', { viewId: this.viewId, teatime: this.now(), platform: platformName, suspended: reason });
+    }
+
+    // back in the foreground (or with a running AudioContext again): jump
+    // straight to where we should be, with the drift controller starting afresh
+    resume() {
+        if (!this.suspended) return;
+
+        this.suspended = false;
+        this.publish('audience', 'report', { viewId: this.viewId, teatime: this.now(), platform: platformName, suspended: false });
+        if (this.audioView && this.latestPlayState && this.latestPlayState.isPlaying) {
+            this.applyPlayState();
+            this.lastTimingCheck = Date.now() + 500; // let it settle before we try to adjust
+        }
+    }
+
+    // iOS, for one, suspends (or "interrupts") the AudioContext when the
+    // phone locks or a call comes in
+    audioContextStateChanged() {
+        const { state } = this.audioContext;
+        if (!this.audioView || (this.audioView.engine !== 'webaudio' && !this.audioView.gainNode)) return; // an element on its own doesn't use the context
+
+        if (state === 'running') this.resume();
+        else if (this.audioView.isPlaying && !this.audioView.isBlocked) this.suspend(`audio ${state}`);
+    }
+
+    // so that the lock screen shows what's playing.  the session is the
+    // conductor's to control, so the only action we offer is to (re)start
+    // our own sound.
+    setUpMediaSession() {
+        const { mediaSession } = navigator;
+        if (!mediaSession) return;
+
+        try {
+            mediaSession.setActionHandler('play', () => this.handleUserClick());
+            mediaSession.setActionHandler('pause', null);
+        } catch (err) { /* an action this browser doesn't support */ }
+    }
+
+    showMediaSession() {
+        const { mediaSession } = navigator;
+        if (!mediaSession || !this.audioTrack) return;
+
+        if (window.MediaMetadata) {
+            const { name, label } = this.audioTrack;
+            mediaSession.metadata = new window.MediaMetadata({ title: name, artist: "Croquet audio sync", album: label });
+        }
+        mediaSession.playbackState = this.latestPlayState && this.latestPlayState.isPlaying ? 'playing' : 'paused';
+    }
+
+    // the conductor has scheduled, rescheduled or cancelled a start.  we get
+    // the audio into position now, then start it by our own timer - rather
+    // than waiting for the model's play-state-changed, which would arrive a
+    // reflector round trip late.  the timer fires early by our output
+    // latency, just as calculateAudioTime runs ahead by it.
+    pendingStartChanged() {
+        clearTimeout(this.startTimer);
+        this.startTimer = null;
+        const { pendingStart } = this.model;
+        if (!pendingStart) {
+            // if we jumped the gun on a start that has since been cancelled,
+            // go back to following the model
+            if (this.latestPlayState && this.latestPlayState.isPlaying && !this.model.isPlaying) {
+                const { isPlaying, startOffset, pausedTime } = this.model;
+                this.latestPlayState = { isPlaying, startOffset, pausedTime };
+                this.applyPlayState();
+            }
+            return;
+        }
+
+        if (!this.audioView || this.waitingForSync) return;
+
+        this.audioView.seek(pendingStart.from);
+        const delay = pendingStart.at - this.outputLatencyMS - this.extrapolatedNow();
+        this.startTimer = setTimeout(() => {
+            this.startTimer = null;
+            this.latestPlayState = { isPlaying: true, startOffset: pendingStart.startOffset, pausedTime: 0 };
+            this.applyPlayState();
+        }, Math.max(0, delay));
+    }
+
+    // invoked on every animation frame
+    update() {
+        this.showCountdown();
+        this.showCaption();
+        this.applyVolume();
+    }
+
+    // the volume set by the conductor, where it will be by the time the
+    // sound now being output is heard.  called on every frame (and timing
+    // check), so that we follow any fade.
+    applyVolume() {
+        const { audioView } = this;
+        if (!audioView) return;
+
+        const level = this.model.volumeFor(this.viewId, this.extrapolatedNow() + this.outputLatencyMS);
+        const volume = this.startingQuietly ? level * STARTING_VOLUME : level;
+        if (volume === this.appliedVolume && audioView === this.volumeAppliedTo) return;
+
+        audioView.setVolume(volume);
+        this.appliedVolume = volume;
+        this.volumeAppliedTo = audioView;
+    }
+
+    showCountdown() {
+        const { pendingStart } = this.model;
+        const text = pendingStart ? String(Math.max(1, Math.ceil((pendingStart.at - this.extrapolatedNow()) / 1000))) : '';
+        if (this.countdownElem.textContent !== text) this.countdownElem.textContent = text;
+    }
+
+    calculateAudioTime() {
+        // given the estimate of our current time in the session, and the start offset
+        // for the video (and hence audio) track, estimate where we should be
+        // in the audio.  we run ahead by the output latency, so that the sound
+        // is heard at the right time.
+        const { isPlaying: _isP, startOffset } = this.latestPlayState;
+
+        const sessionNow = this.extrapolatedNow();
+        return (sessionNow - startOffset + this.outputLatencyMS) * this.model.rate / 1000;
+    }
+
+    // the conductor has changed the shared playback rate, and the model has
+    // moved the start offset to keep our position unchanged
+    rateChanged({ rate, startOffset }) {
+        if (!this.latestPlayState || !this.latestPlayState.isPlaying) return;
+
+        this.latestPlayState.startOffset = startOffset;
+        if (this.audioView && this.audioView.isPlaying) this.audioView.setPlaybackRate(rate * (1 + this.driftController.boost * 0.01));
+    }
+
+    // ms.  AudioContext's own figures, where the browser provides them.
+    estimatedOutputLatency() {
+        const { outputLatency, baseLatency } = this.audioContext;
+        return Math.round(((outputLatency || 0) + (baseLatency || 0)) * 1000);
+    }
+
+    setOutputLatency(ms) {
+        const latency = Math.max(0, Math.min(MAX_OUTPUT_LATENCY, Math.round(ms)));
+        const change = latency - (this.outputLatencyMS || 0);
+        this.outputLatencyMS = latency;
+        this.clickTrack.latency = latency / 1000;
+        window.localStorage.setItem(LATENCY_KEY, latency);
+        this.latencyElem.value = latency;
+        this.latencyValueElem.textContent = `${latency}ms`;
+
+        // move the audio straight away, rather than leaving it to the drift controller
+        if (change && this.audioView && this.audioView.isPlaying && !this.audioView.isBlocked) {
+            this.audioView.seek(this.audioView.currentTime() + change / 1000);
+            this.driftController.reset(Date.now());
+        }
+    }
+
+    toggleCalibration() {
+        const calibrating = !this.clickTrack.interval;
+        if (calibrating) this.clickTrack.start();
+        else this.clickTrack.stop();
+        document.getElementById('calibrate').textContent = calibrating ? "stop clicks" : "calibrate";
+    }
+
+    handleSyncState(isSynced) {
+        //console.warn(`synced: ${isSynced}`);
+        const wasWaiting = this.waitingForSync;
+        this.waitingForSync = !isSynced;
+        if (wasWaiting && isSynced) this.applyPlayState();
+    }
+
+    handleUserClick(_evt) {
+        const audioView = this.audioView;
+        if (audioView && audioView.isBlocked && audioView.isPlaying) {
+this.publish('audience', 'report', {report: "trying to unblock", viewId: this.viewId });
+            this.applyPlayState();
+        } else if (audioView && !audioView.isPlaying) {
+            audioView.unlock(); // so that the start, when it comes, won't be blocked
+            this.soundAllowed = true;
+            this.setLifecycle(this.loadedLifecycle());
+        }
+    }
+
+    driftPolicyChanged() {
+        // start the new controller from the current rate, but otherwise afresh
+        const { boost } = this.driftController;
+        this.driftController = this.makeDriftController();
+        this.driftController.boost = boost;
+        this.driftController.reset(Date.now());
+    }
+
+    checkPlaybackTiming() {
+        if (this.audioView) {
+            const now = Date.now();
+            if (this.audioView.isPlaying && !this.audioView.isBlocked) {
+                const expectedTime = this.audioView.clampedTime(this.calculateAudioTime());
+                const audioTime = this.audioView.currentTime();
+
+const report = { viewId: this.viewId, expectedTime, teatime: this.now(), audioTime: Math.round(audioTime * 1000) / 1000, playback: this.audioView.playbackRate(), volume: this.audioView.volume(), engine: this.audioView.engine };
+report.platform = platformName;
+report.boost = this.driftController.boost;
+report.driftPolicy = this.model.driftPolicy;
+report.outputLatencyMS = this.outputLatencyMS;
+report.blocked = false;
+report.suspended = this.suspended;
+if (this.reportLatency) report.latency = this.reportLatency;
+const sessionOffset = now - this.extrapolatedNow();
+if (this.sessionOffset) {
+    // report how much our estimate of the session's time origin has changed since the last loop
+    const sessionVariation = sessionOffset - this.sessionOffset;
+    report.sessionVariation = sessionVariation;
+}
+this.sessionOffset = sessionOffset;
+
+                    if (expectedTime < this.audioView.duration) { // otherwise we're just waiting for the model to move on
+                    // the drift controller decides whether to jump the audio to
+                    // the right place, or to tweak the playback rate
+                    const decision = this.driftController.update(now, expectedTime, audioTime);
+report.audioDiffMS = decision.diffMS;
+report.audioDiffMSSmoothed = decision.smoothedDiffMS;
+
+                    if (decision.jumpTo !== undefined) {
+report.jumped = -decision.smoothedDiffMS;
+                        console.log(`jumping audio by ${-decision.smoothedDiffMS}ms`);
+                        this.audioView.seek(decision.jumpTo);
+                    } else if (decision.oldBoost !== undefined) {
+report.oldBoost = decision.oldBoost;
+                        if (decision.boost !== decision.oldBoost) {
+report.newBoost = decision.boost;
+                            const playbackRate = this.model.rate * (1 + decision.boost * 0.01);
+                            console.log(`audio playback rate: ${playbackRate}`);
+                            this.audioView.setPlaybackRate(playbackRate);
+                        }
+                    }
+                }
+
+                // now that we've had a chance to adjust/jump, up to full volume
+                this.startingQuietly = false;
+                this.applyVolume();
+
+this.reportSendTime = Date.now(); // for latency calculation
+this.publish('audience', 'report', report);
+            } else if (this.audioView.isPlaying && this.awaitingGesture) {
+                // let the conductor know we're still waiting for a user gesture
+                this.publish('audience', 'report', { viewId: this.viewId, teatime: this.now(), platform: platformName, blocked: true });
+            }
+        this.adjustPlaybar();
+        }
+    }
+
+    detach() {
+        super.detach(); // will discard any outstanding future() messages
+        clearTimeout(this.startTimer);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        window.removeEventListener('pagehide', this.onPageHide);
+        window.removeEventListener('pageshow', this.onPageShow);
+        this.audioContext.onstatechange = null;
+        this.clickTrack.stop();
+        this.disposeOfAudio();
+        timebarView.setView(null);
+    }
+
+    disposeOfAudio() {
+        clearTimeout(this.retryTimer); // a retry would be of the audio we're done with
+
+        // abandon any in-progress load
+        if (this.abandonLoad) {
+            this.abandonLoad();
+            delete this.abandonLoad;
+        }
+
+        // and dispose of any already-loaded element
+        if (this.audioView) {
+            this.audioView.pause();
+            const elem = this.audioView.audio;
+            if (elem) elem.parentNode.removeChild(elem);
+            this.audioView.dispose();
+            this.audioView = null;
+        }
+    }
+
+    iconVisible(iconName, bool) {
+        this[`${iconName}Icon`].style.opacity = bool ? 1 : 0;
+    }
+
+    // onProgress, if given, is told the proportion fetched so far (where
+    // that can be known)
+    async blobFor(asset, onProgress) {
+        let blob;
+        if (asset.handleId) { // uploaded to shared storage by the conductor
+            const data = await fetchData(this.sessionId, this.model.handles[asset.handleId]);
+            if (onProgress) onProgress(1); // shared storage says nothing until it's all here
+            blob = new Blob([data], { type: asset.type });
+        } else {
+            blob = await fetchWithProgress(asset.fileUrl, onProgress);
+        }
+        this.checkFile(asset, blob); // in the background
+        return blob;
+    }
+
+    // compare a file with the conductor's description of it
+    async checkFile(asset, blob) {
+        try {
+            this.reportProblems(asset, await fileProblems(asset, blob));
+        } catch (err) { console.warn(`couldn't check ${asset.name}: ${err}`); }
+    }
+
+    reportProblems(asset, problems) {
+        problems.forEach(({ kind, expected, actual }) => {
+            console.warn(`${asset.name}: ${kind} is ${actual}, rather than ${expected}`);
+            this.publish('integrity', 'problem', { viewId: this.viewId, asset: asset.name, kind, expected, actual });
+        });
+    }
+
+    // the model acknowledges just the timing reports, so this is the round
+    // trip of the latest of those
+    reportReceived() {
+        this.reportLatency = Date.now() - this.reportSendTime;
+    }
+}
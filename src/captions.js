@@ -0,0 +1,65 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// WebVTT captions, reduced to what the audience page shows: plain text
+// between a start and an end time.  cue settings (position, alignment) and
+// styling are ignored, and markup such as <i> or <v Speaker> is stripped.
+
+const TIMING = /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})\s+-->\s+(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})/;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', nbsp: '\u00A0', lrm: '\u200E', rlm: '\u200F' };
+
+function seconds(hours, minutes, secs, millis) {
+    return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(secs) + Number(millis) / 1000;
+}
+
+function plainText(payload) {
+    return payload
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, (_match, name) => ENTITIES[name]);
+}
+
+// returns [{ start, end, text }] in seconds, in order of start time.  throws
+// if the text isn't WebVTT at all; cues that can't be parsed are skipped.
+export function parseVTT(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+    if (!/^WEBVTT(\s|$)/.test(lines[0])) throw Error("not a WebVTT file");
+
+    const cues = [];
+    let block = [];
+    const endBlock = () => {
+        // a cue is an optional identifier, then its timings, then the text
+        const timingIndex = block.findIndex(line => line.includes('-->'));
+        const match = timingIndex !== -1 && timingIndex <= 1 && block[timingIndex].match(TIMING);
+        if (match) {
+            const start = seconds(...match.slice(1, 5)), end = seconds(...match.slice(5, 9));
+            const cueText = plainText(block.slice(timingIndex + 1).join('\n')).trim();
+            if (end > start && cueText) cues.push({ start, end, text: cueText });
+        }
+        block = [];
+    };
+    lines.slice(1).forEach(line => {
+        if (line.trim() === '') endBlock();
+        else block.push(line);
+    });
+    endBlock();
+
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+// the text of every cue showing at the given time, one per line
+export function captionAt(cues, time) {
+    return cues.filter(cue => cue.start <= time && time < cue.end).map(cue => cue.text).join('\n');
+}
@@ -0,0 +1,1357 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+import { storeData, fetchData } from "./storage.js";
+import { DRIFT_POLICIES } from "./driftController.js";
+import { describeFile, describeURL, fileProblems, durationProblems } from "./integrity.js";
+import { RETRY_DELAYS, mediaError, describeLoadError, fetchWithProgress } from "./loading.js";
+
+const { View } = Croquet;
+
+const SCRUB_THROTTLE = 1000 / 10; // min time between scrub events
+const END_MARGIN = 0.2; // seconds from the end of the video within which we stop announcing its timing
+const CUE_HOVER_PX = 5; // how close the pointer must be to a cue marker to show its label
+const SEEK_STEP = 5; // seconds moved by an arrow key
+const SEEK_STEP_LARGE = 30; // ...or by a shifted arrow key
+const CUE_SKIP_MARGIN = 1; // seconds.  "previous cue" from closer than this to a cue goes to the one before.
+
+// thresholds for flagging audience devices on the dashboard
+const DRIFT_WARN_MS = 50; // smoothed drift beyond which a device counts as drifting
+const DRIFT_BAD_MS = 150;
+const LATENCY_WARN_MS = 500; // report round trip beyond which a device counts as lagging
+const SILENT_MS = 5000; // no report for this long during playback also counts as lagging
+
+// m:ss, for cue times
+function formatTime(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// a throttle that also ensures that the last value is delivered
+function throttle(fn, delay) {
+    let lastTime = 0;
+    let timeoutForFinal = null;
+    const clearFinal = () => {
+        if (timeoutForFinal) {
+            clearTimeout(timeoutForFinal);
+            timeoutForFinal = null;
+        }
+    };
+    const runFn = arg => {
+        clearFinal(); // shouldn't be one, but...
+        lastTime = Date.now();
+        fn(arg);
+    };
+    return arg => {
+        clearFinal();
+        const toWait = delay - (Date.now() - lastTime);
+        if (toWait < 0) runFn(arg);
+        else timeoutForFinal = setTimeout(() => runFn(arg), toWait);
+    };
+}
+
+class TimeBarView {
+    constructor() {
+        this.element = document.getElementById('timebar');
+        this.cues = []; // { proportion, label }
+        window.addEventListener('resize', () => this.onWindowResize(), false);
+        this.onWindowResize();
+
+        this.rootView = null;
+        this.lastDragProportion = null;
+        this.lastDrawnProportion = null;
+
+        const container = document.getElementById('container');
+        container.addEventListener('pointerup', evt => this.onContainerClick(evt)); // pointerdown doesn't seem to satisfy the conditions for immediately activating a video, at least on Android
+
+        const element = this.element;
+        element.addEventListener('pointerdown', evt => this.onPointerDown(evt));
+        element.addEventListener('pointermove', throttle(evt => this.onPointerMove(evt), SCRUB_THROTTLE));
+        element.addEventListener('pointerup', evt => this.onPointerUp(evt));
+        element.addEventListener('pointermove', evt => this.onHover(evt));
+    }
+
+    setView(view) {
+        this.rootView = view;
+        this.drawPlaybar(0);
+    }
+
+    onPointerDown(evt) {
+        evt.stopPropagation();
+        if (!this.rootView) return;
+
+        this.dragging = true;
+        this.dragAtOffset(evt.offsetX);
+        evt.preventDefault();
+    }
+
+    onPointerUp(evt) {
+        evt.stopPropagation();
+        if (!this.rootView) return;
+
+        this.dragging = false;
+        evt.preventDefault();
+    }
+
+    // already throttled
+    onPointerMove(evt) {
+        if (!this.rootView) return;
+        if (!this.dragging) return;
+
+        this.dragAtOffset(evt.offsetX);
+        evt.preventDefault();
+    }
+
+    dragAtOffset(offsetX) {
+        const barWidth = this.element.width;
+        const timeProportion = Math.max(0, Math.min(1, offsetX / barWidth));
+        if (this.lastDragProportion === timeProportion) return;
+
+        this.lastDragProportion = timeProportion;
+        this.rootView.handleTimebar(timeProportion);
+    }
+
+    onWindowResize() {
+        const canvas = this.element;
+        const rect = canvas.getBoundingClientRect();
+        canvas.width = rect.width;
+        canvas.height = rect.height;
+        // clear saved portion to force redraw
+        const portion = this.lastDrawnProportion;
+        this.lastDrawnProportion = null;
+        this.drawPlaybar(portion);
+    }
+
+    onContainerClick(evt) {
+        if (!this.rootView) return;
+
+        this.rootView.handleUserClick(evt);
+        evt.preventDefault();
+    }
+
+    // cues are the model's { time, label } cue points for media of the given duration
+    setCues(cues, duration) {
+        this.cues = duration ? cues.map(({ time, label }) => ({ proportion: time / duration, label })) : [];
+        // clear saved portion to force redraw
+        const portion = this.lastDrawnProportion;
+        this.lastDrawnProportion = null;
+        this.drawPlaybar(portion || 0);
+    }
+
+    // show the label of any cue marker under the pointer
+    onHover(evt) {
+        const { width } = this.element;
+        const cue = this.cues.find(({ proportion }) => Math.abs(proportion * width - evt.offsetX) <= CUE_HOVER_PX);
+        this.element.title = cue ? cue.label : '';
+    }
+
+    drawPlaybar(portion) {
+        if (this.lastDrawnProportion === portion) return;
+
+        this.lastDrawnProportion = portion;
+
+        const canvas = this.element;
+        const ctx = canvas.getContext('2d');
+        /* eslint-disable-next-line no-self-assign */
+        canvas.width = canvas.width;
+        ctx.fillStyle = '#ff4444';
+        ctx.fillRect(0, 0, canvas.width * portion, canvas.height);
+        ctx.fillStyle = '#333333';
+        this.cues.forEach(({ proportion }) => ctx.fillRect(Math.round(canvas.width * proportion) - 1, 0, 2, canvas.height));
+    }
+}
+// VideoView is an interface over an HTML video element.
+// its readyPromise resolves once the video is available to play, or rejects
+// with a load error (see loading.js) if it can't be.
+// the video doesn't loop; moving on at the end is up to the shared model.
+// with streaming true, the url is the file's own, which the element fetches
+// by range as it goes; we wait only for the metadata.
+export class VideoView {
+    constructor(url, streaming = false) {
+        this.url = url;
+        this.video = document.createElement("video");
+        this.video.autoplay = false;
+        this.video.loop = false;
+        this.video.muted = true;
+        this.isPlaying = false;
+        this.isBlocked = false; // unless we find out to the contrary, on trying to play
+        this.readyPromise = new Promise((resolved, rejected) => {
+            this._ready = () => resolved(this);
+            this._failed = rejected;
+        });
+
+        const loaded = () => {
+            this.duration = this.video.duration; // ondurationchange is (apparently) always ahead of oncanplay
+            this._ready();
+        };
+        this.video.oncanplay = loaded;
+        if (streaming) this.video.onloadedmetadata = loaded;
+
+        this.video.onerror = () => {
+            const err = mediaError(this.video);
+            console.log(`Error: ${err.message} (errorcode=${this.video.error && this.video.error.code})`);
+            this._failed(err); // if it hasn't already loaded
+        };
+
+        /* other events, that can help with debugging
+        [ "pause", "play", "seeking", "seeked", "stalled", "waiting" ].forEach(k => { this.video[`on${k}`] = () => console.log(k); });
+        */
+
+        this.video.crossOrigin = "anonymous";
+
+        if (!this.video.canPlayType("video/mp4").match(/maybe|probably/i)) {
+            console.log("apparently can't play video");
+        }
+
+        this.video.preload = streaming ? 'metadata' : 'auto';
+        this.video.src = this.url;
+        this.video.load();
+    }
+
+    width() { return this.video.videoWidth; }
+    height() { return this.video.videoHeight; }
+
+    clampedTime(videoTime, guarded) {
+        if (this.duration) {
+            videoTime = Math.min(this.duration, videoTime); // the video doesn't loop; it just stops at the end
+            if (guarded) videoTime = Math.min(this.duration - 0.1, videoTime); // the video element freaks out on being told to seek very close to the end
+        }
+        return Math.max(0, videoTime);
+    }
+
+    async play(videoTime) {
+        // return true if video play started successfully
+        this.video.currentTime = this.clampedTime(videoTime, true);
+        this.isPlaying = true; // even if it turns out to be blocked by the browser
+        // following guidelines from https://developer.mozilla.org/docs/Web/API/HTMLMediaElement/play
+        try {
+            await this.video.play(); // will throw exception if blocked
+            this.isBlocked = false;
+        } catch (err) {
+            console.warn("video play blocked");
+            this.isBlocked = this.isPlaying; // just in case isPlaying was set false while we were trying
+        }
+        return !this.isBlocked;
+    }
+
+    pause(videoTime) {
+        this.isPlaying = this.isBlocked = false; // might not be blocked next time.
+        this.setStatic(videoTime);
+    }
+
+    setStatic(videoTime) {
+        if (videoTime !== undefined) this.video.currentTime = this.clampedTime(videoTime, true); // true => guarded from values too near the end
+        this.video.pause(); // no return value; synchronous, instantaneous?
+    }
+
+    dispose() {
+        try {
+            URL.revokeObjectURL(this.url);
+            if (this.texture) {
+                this.texture.dispose();
+                delete this.texture;
+            }
+            delete this.video;
+        } catch (e) { console.warn(`error in VideoView cleanup: ${e}`); }
+    }
+}
+
+const timebarView = new TimeBarView(); // used by both conductor and audience, for now
+
+export class ConductorView extends View {
+    constructor(model) {
+        super(model);
+        this.model = model;
+
+        timebarView.setView(this);
+
+        this.playIcon = document.getElementById('play');
+        this.container = document.getElementById('container');
+        this.promptElem = document.getElementById('prompt');
+        this.countdownElem = document.getElementById('countdown');
+        this.roleElem = document.getElementById('role');
+        this.playlistElem = document.getElementById('playlist-entries');
+        document.getElementById('controls').addEventListener('pointerup', evt => evt.stopPropagation()); // don't let the container treat it as a play/pause click
+        document.getElementById('add-files-button').onclick = () => this.addLocalFiles();
+        document.getElementById('add-urls-button').onclick = () => this.addURLs();
+        this.dashboardElem = document.getElementById('dashboard');
+        this.devicesSummaryElem = document.getElementById('devices-summary');
+        this.devicesSummaryElem.onclick = () => this.toggleDashboard();
+        this.dashboardElem.addEventListener('pointerup', evt => evt.stopPropagation());
+        this.recordedReports = null; // an array while recording, and after until cleared
+        this.recording = false;
+        this.recordButton = document.getElementById('record-reports');
+        this.recordCountElem = document.getElementById('record-count');
+        this.recordButton.onclick = () => this.toggleRecording();
+        document.getElementById('download-jsonl').onclick = () => this.downloadReports('jsonl');
+        document.getElementById('download-csv').onclick = () => this.downloadReports('csv');
+        this.driftPolicyElem = document.getElementById('drift-policy');
+        Object.keys(DRIFT_POLICIES).forEach(policy => {
+            const option = document.createElement('option');
+            option.value = option.textContent = policy;
+            this.driftPolicyElem.appendChild(option);
+        });
+        this.driftPolicyElem.onchange = () => this.publishControl('set-drift-policy', { policy: this.driftPolicyElem.value });
+        this.rateElem = document.getElementById('rate');
+        this.rateValueElem = document.getElementById('rate-value');
+        this.rateElem.oninput = () => this.rateValueElem.textContent = `${this.rateElem.value}x`;
+        this.rateElem.onchange = () => this.publishControl('set-rate', { rate: Number(this.rateElem.value) });
+        this.loopModeElem = document.getElementById('loop-mode');
+        this.repeatCountElem = document.getElementById('repeat-count');
+        this.loopModeElem.onchange = this.repeatCountElem.onchange = () => {
+            this.publishControl('set-loop-mode', { mode: this.loopModeElem.value, count: Number(this.repeatCountElem.value) || 1 });
+        };
+        this.cuesElem = document.getElementById('cue-entries');
+        this.addCueElem = document.getElementById('add-cue');
+        this.addCueElem.onclick = () => this.addCue();
+        this.stemsElem = document.getElementById('stems');
+        this.masterLevelElem = document.getElementById('master-level');
+        this.masterLevelValueElem = document.getElementById('master-level-value');
+        this.fadeSecondsElem = document.getElementById('fade-seconds');
+        this.levelsElem = document.getElementById('level-entries');
+        this.masterLevelElem.oninput = () => this.masterLevelValueElem.textContent = `${this.masterLevelElem.value}%`;
+        this.masterLevelElem.onchange = () => this.fadeTo('master', null, Number(this.masterLevelElem.value) / 100);
+        document.getElementById('fade-in').onclick = () => this.fadeTo('master', null, 1, 0);
+        document.getElementById('fade-out').onclick = () => this.fadeTo('master', null, 0);
+        document.addEventListener('keydown', evt => this.handleKey(evt));
+        this.setUpMediaSession();
+        this.scheduleStartElem = document.getElementById('schedule-start');
+        this.startDelayElem = document.getElementById('start-delay');
+        this.cancelStartElem = document.getElementById('cancel-start');
+        this.scheduleStartElem.onclick = () => this.publishControl('schedule-start', { delay: 1000 * (Number(this.startDelayElem.value) || 5) });
+        this.cancelStartElem.onclick = () => this.publishControl('cancel-start');
+        this.startGateElem = document.getElementById('start-gate');
+        this.gatePercentElem = document.getElementById('gate-percent');
+        this.gateSecondsElem = document.getElementById('gate-seconds');
+        this.startGateElem.onchange = this.gatePercentElem.onchange = this.gateSecondsElem.onchange = () => {
+            const percent = Math.max(0, Math.min(100, Number(this.gatePercentElem.value) || 0));
+            const seconds = Math.max(0, Math.min(600, Number(this.gateSecondsElem.value) || 0));
+            this.publishControl('set-start-gate', { enabled: this.startGateElem.checked, percent, seconds });
+        };
+        this.heldStartElem = document.getElementById('held-start');
+        this.heldStartStatusElem = document.getElementById('held-start-status');
+        this.startNowElem = document.getElementById('start-now');
+        this.startNowElem.onclick = () => this.publishControl('release-start');
+
+        this.subscribe('model', 'statusTick', this.statusTick);
+        this.subscribe('model', { event: 'assets-changed', handling: 'oncePerFrameWhileSynced' }, this.assetsChanged);
+        this.subscribe('model', { event: 'playlist-changed', handling: 'oncePerFrame' }, this.showPlaylist);
+        this.subscribe('model', 'conductor-changed', this.conductorChanged);
+        this.subscribe('model', 'role-requested', this.showRole);
+        this.subscribe('model', { event: 'devices-changed', handling: 'oncePerFrame' }, this.showDevices);
+        this.subscribe('model', 'audience-report', this.recordReport);
+        this.subscribe('model', 'drift-policy-changed', this.showSettings);
+        this.subscribe('model', 'loop-mode-changed', this.showSettings);
+        this.subscribe('model', { event: 'rate-changed', handling: 'immediate' }, this.rateChanged);
+        this.subscribe('model', 'playback-ended', this.showEnded);
+        this.subscribe('model', 'play-state-changed', this.modelPlayStateChanged);
+        this.subscribe('model', { event: 'start-offset-changed', handling: 'immediate' }, this.modelStartOffsetChanged);
+        this.subscribe('model', { event: 'seeked', handling: 'immediate' }, this.modelSeeked);
+        this.subscribe('model', 'pending-start-changed', this.pendingStartChanged);
+        this.subscribe('model', 'start-gate-changed', this.showSettings);
+        this.subscribe('model', 'held-start-changed', this.showSettings);
+        this.subscribe('model', 'cues-changed', this.showCues);
+        this.subscribe('model', { event: 'stems-changed', handling: 'oncePerFrame' }, this.showStems);
+        this.subscribe('model', { event: 'stems-changed', handling: 'oncePerFrame' }, this.showVolume);
+        this.subscribe('model', { event: 'levels-changed', handling: 'oncePerFrame' }, this.showVolume);
+        this.subscribe('model', { event: 'asset-problems-changed', handling: 'oncePerFrame' }, this.showProblems);
+        this.subscribe('model', { event: 'playback-refusal-changed', handling: 'oncePerFrame' }, this.showProblems);
+        this.subscribe('model', 'playback-refused', reason => View.displayWarning(`Not playing: ${reason}`));
+        this.problemsElem = document.getElementById('problems');
+        this.subscribe(this.viewId, { event: 'synced', handling: 'immediate' }, this.handleSyncState);
+
+        this.videoView = null;
+        this.startTimer = null; // for a scheduled start
+
+        // loads that fail are retried (see loadFailed), or can be retried by hand
+        this.loadingStatusElem = document.getElementById('loading-status');
+        this.retryElem = document.getElementById('retry');
+        this.retryElem.onclick = () => {
+            this.loadAttempts = 0;
+            this.retryLoad();
+        };
+        document.getElementById('loading').addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        this.loadingAsset = null; // while loading
+        this.loadProgress = null;
+        this.loadError = null;
+        this.loadAttempts = 0;
+        this.retryTimer = null;
+
+        if (this.model.conductorId === null) this.publishControl('claim-role');
+
+        if (!this.model.videoAsset) {
+            const { sampleAssets } = ConductorView;
+            if (sampleAssets) this.describeAssets(sampleAssets).then(assets => this.publishControl("set-assets", assets));
+        } else this.assetsChanged();
+        this.showPlaylist();
+        this.showRole();
+        this.showDevices();
+        this.showSettings();
+        this.showCues();
+        this.showStems();
+        this.showVolume();
+        this.showProblems();
+        this.showRecording();
+    }
+
+    isConductor() {
+        return this.model.conductorId === this.viewId;
+    }
+
+    // all events that control the session carry our viewId, so the model
+    // can ignore them if we're not (or no longer) the conductor
+    publishControl(event, data = {}) {
+        this.publish('conductor', event, { ...data, viewId: this.viewId });
+    }
+
+    conductorChanged() {
+        // if the role has been released, try to pick it up.  otherwise, if
+        // it has just come to us, carry on from the model's current state -
+        // which, as a follower, we've been tracking anyway.
+        if (this.model.conductorId === null) this.publishControl('claim-role');
+        else if (this.isConductor()) {
+            const { isPlaying, startOffset, pausedTime } = this.model;
+            this.latestPlayState = { isPlaying, startOffset, pausedTime };
+            this.applyPlayState();
+        }
+        this.showRole();
+        this.showPlaylist();
+        this.showSettings();
+        this.showCues();
+        this.showStems();
+        this.showVolume();
+    }
+
+    showRole() {
+        const { conductorId, roleRequestId } = this.model;
+        const elem = this.roleElem;
+        elem.textContent = '';
+
+        const addText = text => {
+            const div = document.createElement('div');
+            div.textContent = text;
+            elem.appendChild(div);
+        };
+        const addButton = (text, fn) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.onclick = fn;
+            elem.appendChild(button);
+        };
+
+        if (this.isConductor()) {
+            addText("You are the conductor.");
+            if (roleRequestId !== null) {
+                addText("Another view is asking to take over.");
+                addButton("hand over", () => this.publishControl('grant-role', { to: roleRequestId }));
+                addButton("decline", () => this.publishControl('decline-role'));
+            }
+        } else if (conductorId === null) {
+            addText("Claiming the conductor role...");
+        } else {
+            addText("Another view is conducting.");
+            if (roleRequestId === this.viewId) addText("Waiting for the conductor to hand over...");
+            else addButton("request control", () => this.publishControl('request-role'));
+        }
+    }
+
+    // isRetry is true for another attempt at a load that failed
+    async assetsChanged(isRetry) {
+        // our subscription is oncePerFrameWhileSynced, so in theory this can be
+        // triggered in the midst of events updating other model properties.  but
+        // those other properties will have been set after, and therefore be
+        // compatible with, whatever videoAsset we find by examining the model
+        // right now.
+        this.disposeOfVideo(); // discard any loaded or loading video
+        if (!isRetry) this.loadAttempts = 0;
+
+        if (!this.model.videoAsset) { // playlist has been emptied
+            this.loadError = null;
+            this.showLoading();
+            this.showCues();
+            timebarView.drawPlaybar(0);
+            return;
+        }
+
+        View.displayStatus(`Fetching ${this.model.videoAsset.name}`);
+
+        this.waitingForSync = !this.realm.isSynced(); // @@ realm ok?  this can flip back and forth
+
+        const { videoAsset, currentIndex, isPlaying, startOffset, pausedTime } = this.model;
+        this.latestPlayState = { isPlaying, startOffset, pausedTime }; // could be overridden by subsequent local changes by the time the video is ready
+
+        let okToGo = true; // unless cancelled by another load, or a shutdown
+        this.abandonLoad = () => okToGo = false;
+
+        try {
+            this.loadingAsset = videoAsset;
+            this.loadError = null;
+            this.loadProgress = null;
+            this.showLoading();
+            const urlObj = await this.objectURLFor(videoAsset, progress => {
+                if (!okToGo) return;
+                this.loadProgress = progress;
+                this.showLoading();
+            });
+            const videoView = await (new VideoView(urlObj.url, !!videoAsset.stream)).readyPromise;
+
+            if (!okToGo) return; // been cancelled
+            delete this.abandonLoad;
+
+            this.loadAttempts = 0;
+            this.loadingAsset = null;
+            this.showLoading();
+
+            this.reportProblems(videoAsset, durationProblems(videoAsset, videoView.duration));
+            this.videoView = videoView;
+            if (this.isConductor() && !this.model.playlist[currentIndex].duration) {
+                this.publishControl('set-duration', { index: currentIndex, duration: videoView.duration }); // so the model can work out when it ends
+            }
+            const videoElem = this.videoElem = videoView.video;
+            this.playbackBoost = 0;
+            this.container.appendChild(videoElem);
+            this.showCues();
+
+            this.applyPlayState();
+            this.lastTimingCheck = this.now() + 500; // let it settle before we try to adjust
+            if (this.model.pendingStart) this.pendingStartChanged();
+
+        } catch (err) {
+            if (okToGo) this.loadFailed(videoAsset, err);
+        }
+    }
+
+    // as on the audience devices: say what went wrong, and try again after
+    // each of RETRY_DELAYS in turn
+    loadFailed(asset, err) {
+        console.error(err);
+        const message = describeLoadError(err, asset);
+        const delay = RETRY_DELAYS[this.loadAttempts++];
+        this.loadingAsset = null;
+        this.loadError = delay === undefined ? message : `${message}; trying again in ${delay / 1000}s`;
+        this.showLoading();
+        if (delay !== undefined) this.retryTimer = setTimeout(() => this.retryLoad(), delay);
+    }
+
+    retryLoad() {
+        clearTimeout(this.retryTimer);
+        this.assetsChanged(true);
+    }
+
+    showLoading() {
+        let text = '';
+        if (this.loadError) text = this.loadError;
+        else if (this.loadingAsset) {
+            const progress = this.loadProgress;
+            text = `loading ${this.loadingAsset.name}${progress === null ? '' : ` ${Math.round(progress * 100)}%`}`;
+        }
+        if (this.loadingStatusElem.textContent !== text) this.loadingStatusElem.textContent = text;
+        this.retryElem.style.display = this.loadError ? '' : 'none';
+    }
+
+    showSettings() {
+        const { driftPolicy, loopMode, repeatCount, rate, pendingStart, startGate } = this.model;
+        const disabled = !this.isConductor();
+        this.rateElem.value = rate;
+        this.rateValueElem.textContent = `${rate}x`;
+        this.driftPolicyElem.value = driftPolicy;
+        this.loopModeElem.value = loopMode;
+        this.repeatCountElem.value = repeatCount;
+        this.repeatCountElem.style.display = loopMode === 'repeat' ? '' : 'none';
+        this.startGateElem.checked = startGate.enabled;
+        this.gatePercentElem.value = startGate.percent;
+        this.gateSecondsElem.value = startGate.seconds;
+        [this.rateElem, this.driftPolicyElem, this.loopModeElem, this.repeatCountElem, this.startDelayElem, this.scheduleStartElem, this.startGateElem, this.gatePercentElem, this.gateSecondsElem].forEach(elem => elem.disabled = disabled);
+        this.cancelStartElem.disabled = disabled || !pendingStart;
+        this.showHeldStart();
+    }
+
+    // while a start is held for the audience: how many are ready, and how
+    // long we'll wait for the rest
+    showHeldStart() {
+        const { heldStart, startGate } = this.model;
+        this.heldStartElem.style.display = heldStart ? '' : 'none';
+        if (!heldStart) return;
+
+        const { ready, total } = this.model.audienceReadiness();
+        const seconds = Math.max(0, Math.ceil((heldStart.until - this.now()) / 1000));
+        this.heldStartStatusElem.textContent = `waiting for ${startGate.percent}% of the audience: ${ready}/${total} ready, ${seconds}s to go`;
+        this.startNowElem.disabled = !this.isConductor();
+    }
+
+    // the model has stopped playback at the end of the playlist
+    showEnded() {
+        this.promptElem.textContent = this.model.hasEnded ? "the end" : '';
+    }
+
+    // a start has been scheduled, rescheduled or cancelled.  we cue up the
+    // video now, and start it by our own timer at the scheduled time, just
+    // as the audience devices do.
+    pendingStartChanged() {
+        clearTimeout(this.startTimer);
+        this.startTimer = null;
+        this.showSettings();
+        const { pendingStart } = this.model;
+        if (!pendingStart) {
+            // if we started just before the start was cancelled, go back to
+            // following the model
+            if (this.latestPlayState && this.latestPlayState.isPlaying && !this.model.isPlaying) {
+                const { isPlaying, startOffset, pausedTime } = this.model;
+                this.latestPlayState = { isPlaying, startOffset, pausedTime };
+                this.applyPlayState();
+            }
+            return;
+        }
+
+        if (!this.videoView || this.waitingForSync) return;
+
+        this.videoView.setStatic(pendingStart.from);
+        this.startTimer = setTimeout(() => {
+            this.startTimer = null;
+            this.latestPlayState = { isPlaying: true, startOffset: pendingStart.startOffset, pausedTime: 0 };
+            this.applyPlayState();
+        }, Math.max(0, pendingStart.at - this.extrapolatedNow()));
+    }
+
+    showCountdown() {
+        const { pendingStart } = this.model;
+        const text = pendingStart ? String(Math.max(1, Math.ceil((pendingStart.at - this.extrapolatedNow()) / 1000))) : '';
+        if (this.countdownElem.textContent !== text) this.countdownElem.textContent = text;
+    }
+
+    statusTick() {
+        this.announcePlaybackTiming();
+        this.showDevices(); // in case any device has gone quiet
+        this.showHeldStart();
+    }
+
+    deviceHealth(device) {
+        if (device.lifecycle === 'failed') return 'failed';
+        if (device.suspended) return 'suspended';
+        if (device.blocked) return 'blocked';
+        if (this.model.isPlaying && this.now() - device.lastReport > SILENT_MS) return 'lagging';
+        if (device.latency > LATENCY_WARN_MS) return 'lagging';
+        const drift = Math.abs(device.audioDiffMSSmoothed || 0);
+        if (drift > DRIFT_BAD_MS) return 'off';
+        if (drift > DRIFT_WARN_MS) return 'drifting';
+        return 'ok';
+    }
+
+    toggleDashboard() {
+        this.dashboardVisible = !this.dashboardVisible;
+        this.dashboardElem.style.display = this.dashboardVisible ? 'table' : 'none';
+        this.showDevices();
+    }
+
+    showDevices() {
+        const devices = Object.values(this.model.devices);
+        const counts = {};
+        const healths = devices.map(device => this.deviceHealth(device));
+        healths.forEach(health => counts[health] = (counts[health] || 0) + 1);
+        const summary = Object.keys(counts).sort().map(health => `${counts[health]} ${health}`).join(', ');
+        const { ready, total } = this.model.audienceReadiness();
+        this.devicesSummaryElem.textContent = `${ready}/${total} ready; ${devices.length} audience device${devices.length === 1 ? '' : 's'}${summary ? `: ${summary}` : ''}`;
+        this.showHeldStart();
+
+        if (!this.dashboardVisible) return;
+
+        const table = this.dashboardElem.querySelector('tbody');
+        table.textContent = '';
+        devices.forEach((device, i) => {
+            const row = document.createElement('tr');
+            row.className = healths[i];
+            const boost = device.boost ? `${device.boost > 0 ? '+' : ''}${device.boost}%` : '';
+            let loading = device.lifecycle;
+            if (device.lifecycle === 'fetching' && device.progress !== null) loading = `fetching ${Math.round(device.progress * 100)}%`;
+            else if (device.lifecycle === 'failed') loading = device.error;
+            [device.viewId, device.platform, device.audioDiffMS, device.audioDiffMSSmoothed, boost, device.jumps, device.suspensions, device.latency, device.outputLatencyMS, loading, healths[i]].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value === undefined ? '' : value;
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+    }
+
+    // starting a new recording discards the last one
+    toggleRecording() {
+        this.recording = !this.recording;
+        if (this.recording) this.recordedReports = [];
+        this.showRecording();
+    }
+
+    recordReport(report) {
+        if (!this.recording) return;
+
+        this.recordedReports.push({ ...report });
+        this.showRecording();
+    }
+
+    showRecording() {
+        const reports = this.recordedReports;
+        this.recordButton.textContent = this.recording ? "stop recording" : "record reports";
+        this.recordCountElem.textContent = reports ? `${reports.length} report${reports.length === 1 ? '' : 's'}` : '';
+        ['download-jsonl', 'download-csv'].forEach(id => document.getElementById(id).disabled = !reports || !reports.length);
+    }
+
+    // as JSON Lines (one report per line) or CSV (one column for every
+    // property seen in any report).  tools/analyze-reports.js reads either.
+    downloadReports(format) {
+        const reports = this.recordedReports;
+        if (!reports || !reports.length) return;
+
+        let text;
+        if (format === 'csv') {
+            const columns = [];
+            reports.forEach(report => Object.keys(report).forEach(key => {
+                if (!columns.includes(key)) columns.push(key);
+            }));
+            const csvValue = value => {
+                if (value === undefined || value === null) return '';
+                const str = String(value);
+                return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+            };
+            text = [columns.join(','), ...reports.map(report => columns.map(key => csvValue(report[key])).join(','))].join('\n');
+        } else text = reports.map(report => JSON.stringify(report)).join('\n');
+
+        const url = URL.createObjectURL(new Blob([`${text}\n`], { type: format === 'csv' ? 'text/csv' : 'application/x-ndjson' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `reports-${this.sessionId.slice(0, 8)}-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    adjustPlaybar() {
+        const time = this.videoView.isPlaying ? this.videoView.video.currentTime : (this.latestPlayState.pausedTime || 0);
+        timebarView.drawPlaybar(time / this.videoView.duration);
+    }
+
+    playStateChanged(state) {
+        // invoked immediately when the local user interacts with the video
+        // (play, pause, scrub).
+        // publishes a set-play-state event to update the model, and hence all
+        // audience views.
+
+        const latest = this.latestPlayState;
+        // ignore if we've heard this one before (probably because we set it locally)
+        if (latest && Object.keys(state).every(key => state[key] === latest[key])) return;
+
+        this.publishControl('set-play-state', state); // subscribed to by the shared model
+        this.latestPlayState = state;
+        this.applyPlayState(); // will be ignored if we're still initialising
+    }
+
+    applyPlayState() {
+        if (!this.videoView || this.waitingForSync) return;
+
+        this.adjustPlaybar();
+
+        const { videoView, videoElem } = this;
+
+        //console.log("apply playState", {...this.latestPlayState});
+        if (!this.latestPlayState.isPlaying) {
+            this.iconVisible('play', true);
+            videoView.pause(this.latestPlayState.pausedTime);
+        } else {
+            this.iconVisible('play', false);
+            videoElem.playbackRate = this.model.rate * (1 + this.playbackBoost * 0.01);
+            this.lastRateAdjust = this.now(); // make sure we don't adjust rate until playback has settled in, and after any emergency jump we decide to do
+            videoView.play(this.calculateVideoTime() + 0.1).then(playStarted => {
+                if (!playStarted) console.warn("video didn't start");
+                });
+        }
+
+        this.showEnded();
+        this.showMediaSession();
+    }
+
+    calculateVideoStartOffset() {
+        const videoTime = this.videoView.video.currentTime;
+        const sessionTime = this.extrapolatedNow(); // the session time corresponding to the video time
+        return Math.round(sessionTime - 1000 * videoTime / this.model.rate);
+    }
+
+    calculateVideoTime() {
+        const { isPlaying: _isP, startOffset } = this.latestPlayState;
+        // if (!isPlaying) debugger;
+
+        const sessionNow = this.extrapolatedNow();
+        return (sessionNow - startOffset) * this.model.rate / 1000;
+    }
+
+    // the model has changed the shared playback rate (at our request, or
+    // another conductor's), and moved the start offset to match
+    rateChanged({ rate, startOffset }) {
+        this.showSettings();
+        if (!this.latestPlayState || !this.latestPlayState.isPlaying) return;
+
+        this.latestPlayState.startOffset = startOffset;
+        if (this.videoView && this.videoView.isPlaying) this.videoElem.playbackRate = rate * (1 + this.playbackBoost * 0.01);
+    }
+
+    handleSyncState(isSynced) {
+        //console.warn(`synced: ${isSynced}`);
+        const wasWaiting = this.waitingForSync;
+        this.waitingForSync = !isSynced;
+        if (wasWaiting && isSynced) this.applyPlayState();
+    }
+
+    // while another view holds the conductor role, we just follow the
+    // model's play state like an audience member would
+    // (and so, for that matter, do we when the model itself changes the
+    // state, such as at the end of the playlist)
+    modelPlayStateChanged(data) {
+        if (this.isConductor() && !data.fromModel) return; // we set it ourselves
+
+        const { isPlaying, startOffset, pausedTime } = data;
+        const latest = this.latestPlayState;
+        if (latest && latest.isPlaying === isPlaying && latest.startOffset === startOffset && latest.pausedTime === pausedTime) return; // e.g., a scheduled start that we've already made
+
+        this.latestPlayState = { isPlaying, startOffset, pausedTime };
+        this.applyPlayState();
+    }
+
+    modelStartOffsetChanged(startOffset) {
+        if (this.isConductor() || !this.latestPlayState || !this.latestPlayState.isPlaying) return;
+
+        this.latestPlayState.startOffset = startOffset;
+        const { videoView } = this;
+        if (videoView && videoView.isPlaying && Math.abs(videoView.video.currentTime - this.calculateVideoTime()) > 0.5) this.applyPlayState();
+    }
+
+    modelSeeked(startOffset) {
+        if (this.isConductor() || !this.latestPlayState || !this.latestPlayState.isPlaying) return;
+
+        this.latestPlayState.startOffset = startOffset;
+        this.applyPlayState();
+    }
+
+    handleUserClick(_evt) {
+        this.togglePlayState();
+    }
+
+    togglePlayState() {
+        if (!this.videoView || !this.isConductor()) return;
+
+        const { videoView } = this;
+
+        if (this.model.heldStart) {
+            this.publishControl('cancel-start'); // stop waiting
+            return;
+        }
+        const wantsToPlay = !this.latestPlayState.isPlaying; // toggle
+        if (wantsToPlay && this.model.startGate.enabled) {
+            this.publishControl('hold-start'); // the model will start us all once enough of the audience is ready
+            return;
+        }
+        if (wantsToPlay && this.model.hasEnded) {
+            this.publishControl('restart-playback'); // from the top of the playlist
+            return;
+        }
+        if (!wantsToPlay) videoView.pause(); // immediately!
+        const startOffset = wantsToPlay ? this.calculateVideoStartOffset() : null;
+        const pausedTime = wantsToPlay ? 0 : Math.round(videoView.video.currentTime * 100) / 100;
+        this.playStateChanged({ isPlaying: wantsToPlay, startOffset, pausedTime }); // directly from the handler, in case the browser blocks indirect play() invocations
+    }
+
+    showPlaylist() {
+        const { playlist, currentIndex } = this.model;
+        const list = this.playlistElem;
+        list.textContent = '';
+        const isConductor = this.isConductor(); // only the conductor gets to edit the playlist
+        playlist.forEach((entry, index) => {
+            const item = document.createElement('div');
+            item.className = index === currentIndex ? 'entry current' : 'entry';
+
+            const name = document.createElement('span');
+            name.className = 'name';
+            name.textContent = entry.video.name;
+            item.appendChild(name);
+            list.appendChild(item);
+            if (!isConductor) return;
+
+            name.onclick = () => this.publishControl('jump-to-playlist-item', { index });
+
+            if (index > 0) {
+                const up = document.createElement('button');
+                up.textContent = '\u2191';
+                up.title = "move up";
+                up.onclick = () => this.publishControl('move-in-playlist', { from: index, to: index - 1 });
+                item.appendChild(up);
+            }
+
+            const remove = document.createElement('button');
+            remove.textContent = '\u00d7';
+            remove.title = "remove";
+            remove.onclick = () => this.publishControl('remove-from-playlist', { index });
+            item.appendChild(remove);
+        });
+    }
+
+    showCues() {
+        const { cues } = this.model;
+        timebarView.setCues(cues, this.videoView ? this.videoView.duration : 0);
+
+        const list = this.cuesElem;
+        list.textContent = '';
+        const isConductor = this.isConductor();
+        this.addCueElem.disabled = !isConductor || !this.videoView;
+        cues.forEach(({ time, label }, index) => {
+            const item = document.createElement('div');
+            item.className = 'entry';
+
+            const name = document.createElement('span');
+            name.className = 'name';
+            name.textContent = `${formatTime(time)} ${label}`;
+            item.appendChild(name);
+            list.appendChild(item);
+            if (!isConductor) return;
+
+            name.onclick = () => this.jumpToCue(index);
+
+            const rename = document.createElement('button');
+            rename.textContent = '\u270e';
+            rename.title = "rename";
+            rename.onclick = () => {
+                const newLabel = window.prompt("cue name", label);
+                if (newLabel) this.publishControl('rename-cue', { index, label: newLabel });
+            };
+            item.appendChild(rename);
+
+            const remove = document.createElement('button');
+            remove.textContent = '\u00d7';
+            remove.title = "delete";
+            remove.onclick = () => this.publishControl('delete-cue', { index });
+            item.appendChild(remove);
+        });
+    }
+
+    // which audience views are playing which stem, if the current entry has
+    // stems.  the conductor can assign a view to a particular stem, or
+    // leave it to the model.
+    showStems() {
+        const { stems, audienceIds, stemAssignments, stemOverrides } = this.model;
+        const elem = this.stemsElem;
+        elem.textContent = '';
+        elem.style.display = stems.length ? '' : 'none';
+        if (!stems.length) return;
+
+        const labels = stems.map(stem => stem.label);
+        const counts = labels.map(label => `${label} (${audienceIds.filter(viewId => stemAssignments[viewId] === label).length})`);
+        const summary = document.createElement('div');
+        summary.textContent = `stems: ${counts.join(', ')}`;
+        elem.appendChild(summary);
+
+        const isConductor = this.isConductor();
+        audienceIds.forEach(viewId => {
+            const item = document.createElement('div');
+            item.className = 'entry';
+            const name = document.createElement('span');
+            name.className = 'name';
+            name.textContent = viewId;
+            item.appendChild(name);
+
+            const select = document.createElement('select');
+            const override = stemOverrides[viewId];
+            [null, ...labels].forEach(label => {
+                const option = document.createElement('option');
+                option.value = label === null ? '' : label;
+                option.textContent = label === null ? `auto${override ? '' : ` (${stemAssignments[viewId]})`}` : label;
+                select.appendChild(option);
+            });
+            select.value = labels.includes(override) ? override : '';
+            select.disabled = !isConductor;
+            select.onchange = () => this.publishControl('assign-stem', { target: viewId, label: select.value || null });
+            item.appendChild(select);
+            elem.appendChild(item);
+        });
+    }
+
+    // a fade (or, with the fade time at 0, a straight change) of the master
+    // level, a group's (by stem label) or a device's (by viewId)
+    fadeTo(target, id, level, from) {
+        const duration = Math.max(0, Number(this.fadeSecondsElem.value) || 0);
+        this.publishControl('set-level', { target, id, level, from, duration });
+    }
+
+    // the levels that the model is at or heading for: the master level, and
+    // below it one for each stem group and each audience device
+    showVolume() {
+        const isConductor = this.isConductor();
+        const masterPercent = Math.round(this.model.targetLevel('master') * 100);
+        this.masterLevelElem.value = masterPercent;
+        this.masterLevelValueElem.textContent = `${masterPercent}%`;
+        [this.masterLevelElem, this.fadeSecondsElem, document.getElementById('fade-in'), document.getElementById('fade-out')].forEach(elem => elem.disabled = !isConductor);
+
+        const list = this.levelsElem;
+        list.textContent = '';
+        const rows = [
+            ...this.model.stems.map(({ label }) => ({ target: 'group', id: label, name: `group ${label}` })),
+            ...this.model.audienceIds.map(viewId => ({ target: 'device', id: viewId, name: viewId }))
+        ];
+        rows.forEach(({ target, id, name }) => {
+            const percent = Math.round(this.model.targetLevel(target, id) * 100);
+            const label = document.createElement('label');
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = 0;
+            slider.max = 100;
+            slider.value = percent;
+            slider.disabled = !isConductor;
+            const value = document.createElement('span');
+            value.textContent = ` ${percent}%`;
+            slider.oninput = () => value.textContent = ` ${slider.value}%`;
+            slider.onchange = () => this.fadeTo(target, id, Number(slider.value) / 100);
+            label.textContent = `${name} `;
+            label.appendChild(slider);
+            label.appendChild(value);
+            list.appendChild(label);
+        });
+    }
+
+    // add a cue at the current position of the video
+    addCue() {
+        if (!this.videoView || !this.isConductor()) return;
+
+        const time = Math.round(this.videoView.video.currentTime * 100) / 100;
+        this.publishControl('add-cue', { time, label: `cue ${this.model.cues.length + 1}` });
+    }
+
+    jumpToCue(index) {
+        const cue = this.model.cues[index];
+        if (!cue || !this.videoView || !this.isConductor()) return;
+
+        this.jumpToTime(cue.time);
+    }
+
+    // going back from just after a cue skips to the one before it, as with
+    // a CD player
+    jumpToAdjacentCue(forward) {
+        const { cues } = this.model;
+        const now = this.videoView.video.currentTime;
+        const cue = forward ? cues.find(({ time }) => time > now) : cues.filter(({ time }) => time < now - CUE_SKIP_MARGIN).pop();
+        if (cue) this.jumpToTime(cue.time);
+    }
+
+    // space plays/pauses; the arrows seek by SEEK_STEP (or, with shift,
+    // SEEK_STEP_LARGE); Home and End go to the start and end; 0-9 go to
+    // that many tenths of the way through; "[" and "]" jump to the
+    // previous and next cues.
+    handleKey(evt) {
+        if (!this.videoView || !this.isConductor() || evt.target.closest('input, select, textarea, button')) return;
+        if (evt.ctrlKey || evt.metaKey || evt.altKey) return;
+
+        const { duration } = this.videoView;
+        const step = evt.shiftKey ? SEEK_STEP_LARGE : SEEK_STEP;
+        const { key } = evt;
+        if (key === ' ') this.togglePlayState();
+        else if (key === 'ArrowLeft') this.seekBy(-step);
+        else if (key === 'ArrowRight') this.seekBy(step);
+        else if (key === 'Home') this.jumpToTime(0);
+        else if (key === 'End') this.jumpToTime(duration);
+        else if (key >= '0' && key <= '9') this.jumpToTime(duration * Number(key) / 10);
+        else if (key === '[' || key === ']') this.jumpToAdjacentCue(key === ']');
+        else return;
+
+        evt.preventDefault();
+    }
+
+    seekBy(seconds) {
+        if (!this.videoView) return;
+
+        const { video, duration } = this.videoView;
+        this.jumpToTime(Math.max(0, Math.min(duration, video.currentTime + seconds)));
+    }
+
+    // let media keys, and the OS's media controls, drive the session just
+    // as the conductor's own clicks do
+    setUpMediaSession() {
+        const { mediaSession } = navigator;
+        if (!mediaSession) return;
+
+        const handlers = {
+            play: () => { if (this.latestPlayState && !this.latestPlayState.isPlaying) this.togglePlayState(); }, // nothing to play until the first load
+            pause: () => { if (this.latestPlayState && this.latestPlayState.isPlaying) this.togglePlayState(); },
+            seekbackward: details => this.seekBy(-(details.seekOffset || SEEK_STEP)),
+            seekforward: details => this.seekBy(details.seekOffset || SEEK_STEP),
+            seekto: details => this.jumpToTime(details.seekTime),
+            previoustrack: () => this.publishControl('jump-to-playlist-item', { index: this.model.currentIndex - 1 }),
+            nexttrack: () => this.publishControl('jump-to-playlist-item', { index: this.model.currentIndex + 1 })
+        };
+        Object.keys(handlers).forEach(action => {
+            try {
+                mediaSession.setActionHandler(action, handlers[action]);
+            } catch (err) { /* an action this browser doesn't support */ }
+        });
+    }
+
+    showMediaSession() {
+        const { mediaSession } = navigator;
+        if (!mediaSession || !this.videoView) return;
+
+        const { videoAsset } = this.model;
+        if (window.MediaMetadata && (!mediaSession.metadata || mediaSession.metadata.title !== videoAsset.name)) {
+            mediaSession.metadata = new window.MediaMetadata({ title: videoAsset.name, artist: "Croquet audio sync" });
+        }
+        mediaSession.playbackState = this.latestPlayState && this.latestPlayState.isPlaying ? 'playing' : 'paused';
+        if (mediaSession.setPositionState && this.videoView.duration) {
+            const { duration, video } = this.videoView;
+            mediaSession.setPositionState({ duration, playbackRate: this.model.rate, position: Math.min(duration, video.currentTime) });
+        }
+    }
+
+    // add a video and audio file by URL (relative to this page): for media
+    // on a web server, which each view fetches for itself.  ticking "stream"
+    // (as it is to begin with) has them play while they download, each view
+    // fetching by range from wherever the session has got to.
+    async addURLs() {
+        if (!this.isConductor()) return;
+
+        const videoInput = document.getElementById('video-url');
+        const audioInput = document.getElementById('audio-url');
+        let videoUrl, audioUrl;
+        try {
+            [videoUrl, audioUrl] = [videoInput, audioInput].map(input => {
+                if (!input.value.trim()) throw Error("missing URL");
+                return new URL(input.value.trim(), window.location.href).href; // relative to this page
+            });
+        } catch (err) {
+            View.displayWarning("Enter the URLs of a video and an audio file");
+            return;
+        }
+
+        const stream = document.getElementById('stream-urls').checked;
+        const asset = url => {
+            const name = decodeURIComponent(new URL(url).pathname.split('/').pop()) || url;
+            return stream ? { fileUrl: url, name, stream } : { fileUrl: url, name };
+        };
+        View.displayStatus(`Adding ${videoUrl} and ${audioUrl}`);
+        const { video, audio } = await this.describeAssets({ video: asset(videoUrl), audio: asset(audioUrl) });
+        this.publishControl('add-to-playlist', { video, audio });
+        videoInput.value = audioInput.value = '';
+    }
+
+    // upload the mp4, mp3(s) and any WebVTT captions or stems that the user
+    // has picked to shared storage, and add them to the playlist by handle.
+    // each mp3 becomes an alternative audio track, labelled with its file
+    // name; so does each captions file, whose language can be given in the
+    // name before ".vtt" (as in "film.fr.vtt"), and each stem.
+    async addLocalFiles() {
+        if (!this.isConductor()) return;
+
+        const videoInput = document.getElementById('video-file');
+        const audioInput = document.getElementById('audio-file');
+        const captionsInput = document.getElementById('captions-file');
+        const stemsInput = document.getElementById('stems-file');
+        const videoFile = videoInput.files[0], audioFiles = Array.from(audioInput.files), captionFiles = Array.from(captionsInput.files);
+        const stemFiles = Array.from(stemsInput.files);
+        if (!videoFile || !(audioFiles.length || stemFiles.length)) {
+            View.displayWarning("Choose a video and at least one audio or stem file");
+            return;
+        }
+
+        const upload = async file => {
+            const tagName = file === videoFile ? 'video' : (captionFiles.includes(file) ? null : 'audio');
+            const description = await describeFile(file, tagName);
+            const buffer = await file.arrayBuffer();
+            const handle = await storeData(this.sessionId, buffer);
+            return { name: file.name, type: file.type || 'text/vtt', handle, ...description };
+        };
+
+        try {
+            const files = [...audioFiles, ...captionFiles, ...stemFiles];
+            View.displayStatus(`Uploading ${videoFile.name} and ${files.map(file => file.name).join(", ")}`);
+            const [video, ...tracks] = await Promise.all([videoFile, ...files].map(upload));
+            tracks.forEach(track => track.label = track.name.replace(/\.[^.]*$/, ''));
+            const captionsEnd = audioFiles.length + captionFiles.length;
+            const audioTracks = audioFiles.length ? tracks.slice(0, audioFiles.length) : undefined;
+            const captions = tracks.slice(audioFiles.length, captionsEnd), stems = tracks.slice(captionsEnd);
+            captions.forEach(track => {
+                const language = track.label.match(/\.([a-z]{2,3}(-[A-Za-z0-9]+)*)$/);
+                if (language) track.language = language[1];
+            });
+            this.publishControl('add-to-playlist', { audioTracks, video, captions, stems });
+            videoInput.value = audioInput.value = captionsInput.value = stemsInput.value = '';
+        } catch (err) {
+            console.error(err);
+            View.displayError(`Upload failed: ${err.message}`);
+        }
+    }
+
+    handleTimebar(proportion) {
+        if (!this.videoView || !this.isConductor()) return;
+
+        this.jumpToTime(this.videoView.duration * proportion);
+    }
+
+    jumpToTime(videoTime) {
+        if (!this.videoView || !this.isConductor()) return;
+
+        if (this.latestPlayState.isPlaying) {
+            // carry on playing from the new point
+            const startOffset = Math.round(this.extrapolatedNow() - 1000 * videoTime / this.model.rate);
+            this.latestPlayState.startOffset = startOffset;
+            this.publishControl('seek', { startOffset });
+            this.applyPlayState();
+            this.lastTimingCheck = Date.now(); // give the video time to settle before announcing its timing
+            return;
+        }
+
+        const wantsToPlay = false;
+        const startOffset = null;
+        const pausedTime = videoTime;
+        this.playStateChanged({ isPlaying: wantsToPlay, startOffset, pausedTime });
+    }
+
+    announcePlaybackTiming() {
+        if (this.videoView) {
+            const lastTimingCheck = this.lastTimingCheck || 0;
+            const now = Date.now();
+            // check and announce timing every 900ms while video is playing
+            // (thus pre-empting the 1000ms ticks that the reflector would
+            // otherwise send)
+            if (this.videoView.isPlaying && !this.videoView.isBlocked && now - lastTimingCheck >= 900) {
+                this.lastTimingCheck = now;
+
+                this.adjustPlaybar();
+
+                // once the video has stopped at its end, its position no longer
+                // tells us anything; the model will move on from its own timing
+                const atEnd = this.videoView.video.currentTime >= this.videoView.duration - END_MARGIN;
+                if (this.latestPlayState.isPlaying && this.isConductor() && !atEnd) {
+                    const currentStartOffset = this.calculateVideoStartOffset();
+                    this.latestPlayState.startOffset = currentStartOffset;
+                    this.publishControl('set-start-offset', { startOffset: currentStartOffset });
+                }
+            }
+        }
+    }
+
+    // invoked on every animation frame
+    update() {
+        this.announcePlaybackTiming();
+        this.showCountdown();
+    }
+
+    detach() {
+        super.detach(); // will discard any outstanding future() messages
+        clearTimeout(this.startTimer);
+        this.disposeOfVideo();
+        timebarView.setView(null);
+    }
+
+    disposeOfVideo() {
+        clearTimeout(this.retryTimer); // a retry would be of the video we're done with
+
+        // abandon any in-progress load
+        if (this.abandonLoad) {
+            this.abandonLoad();
+            delete this.abandonLoad;
+        }
+
+        // and dispose of any already-loaded element
+        if (this.videoView) {
+            this.videoView.pause();
+            const elem = this.videoView.video;
+            elem.parentNode.removeChild(elem);
+            this.videoView.dispose();
+            this.videoView = null;
+        }
+    }
+
+    iconVisible(iconName, bool) {
+        this[`${iconName}Icon`].style.opacity = bool ? 1 : 0;
+    }
+
+    async blobFor(asset, onProgress) {
+        if (asset.handleId) { // uploaded to shared storage by the conductor
+            const data = await fetchData(this.sessionId, this.model.handles[asset.handleId]);
+            if (onProgress) onProgress(1); // shared storage says nothing until it's all here
+            return new Blob([data], { type: asset.type });
+        }
+        return fetchWithProgress(asset.fileUrl, onProgress);
+    }
+
+    // add each asset's hash, size and duration (see integrity.js), for the
+    // other views to check what they fetch against - or just the duration,
+    // for media that will be streamed.  if the files can't be read, the
+    // assets go undescribed.
+    async describeAssets(assets) {
+        const describe = async (asset, tagName) => ({ ...asset, ...await (tagName && asset.stream ? describeURL(asset.fileUrl, tagName) : describeFile(await this.blobFor(asset), tagName)) });
+        try {
+            const described = {};
+            await Promise.all(Object.keys(assets).map(async key => {
+                const tagName = key === 'video' ? 'video' : (key === 'captions' ? null : 'audio');
+                const value = assets[key];
+                described[key] = Array.isArray(value) ? await Promise.all(value.map(asset => describe(asset, tagName))) : await describe(value, tagName);
+            }));
+            return described;
+        } catch (err) {
+            console.warn(`couldn't describe assets: ${err}`);
+            return assets;
+        }
+    }
+
+    // compare a file with its description, in case it has changed since
+    async checkFile(asset, blob) {
+        try {
+            this.reportProblems(asset, await fileProblems(asset, blob));
+        } catch (err) { console.warn(`couldn't check ${asset.name}: ${err}`); }
+    }
+
+    reportProblems(asset, problems) {
+        problems.forEach(({ kind, expected, actual }) => {
+            console.warn(`${asset.name}: ${kind} is ${actual}, rather than ${expected}`);
+            this.publish('integrity', 'problem', { viewId: this.viewId, asset: asset.name, kind, expected, actual });
+        });
+    }
+
+    // why the current entry won't play, if it won't, and any files that
+    // views have found not to match their descriptions
+    showProblems() {
+        const { playbackRefusal, assetProblems } = this.model;
+        const elem = this.problemsElem;
+        elem.textContent = '';
+        elem.style.display = playbackRefusal || assetProblems.length ? '' : 'none';
+        if (playbackRefusal) {
+            const refusal = document.createElement('div');
+            refusal.className = 'refusal';
+            refusal.textContent = `won't play: ${playbackRefusal}`;
+            elem.appendChild(refusal);
+        }
+        assetProblems.forEach(({ viewId, asset, kind, expected, actual }) => {
+            const item = document.createElement('div');
+            const detail = kind === 'hash' ? "contents differ" : `${actual}, not ${expected}`;
+            item.textContent = `${viewId}: ${asset} ${kind} ${detail}`;
+            elem.appendChild(item);
+        });
+    }
+
+    // a streamed asset is played straight from its own URL (see VideoView)
+    async objectURLFor(asset, onProgress) {
+        if (asset.stream) return { url: asset.fileUrl, revoke: () => null };
+
+        const blob = await this.blobFor(asset, onProgress);
+        this.checkFile(asset, blob); // in the background
+        const url = URL.createObjectURL(blob);
+        const revoke = () => { URL.revokeObjectURL(url); return null; }; // return null to support "urlObj.revoke() || result" usage
+        return { url, revoke };
+    }
+}
+// the { audio, video } assets that a new session starts with
+ConductorView.sampleAssets = null;
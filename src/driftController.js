@@ -0,0 +1,153 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// drift controllers decide how a player should respond to the difference
+// between where its media is (actual time) and where the session says it
+// should be (expected time): either by jumping straight to the right place,
+// or by nudging the playback rate up or down by a "boost" percentage.
+//
+// a controller knows nothing about media elements or Croquet.  the client
+// calls update() on each timing check, passing the wall-clock time in ms and
+// the expected and actual media times in seconds, and applies whatever it
+// gets back.  so a controller can be exercised on its own by feeding it
+// simulated time pairs.
+
+class DriftController {
+    constructor(options) {
+        this.options = { ...DriftController.defaults, ...options };
+        this.boost = 0; // percent
+        this.reset(0);
+    }
+
+    // to be called whenever playback (re)starts
+    reset(now) {
+        this.smoothedDiff = null;
+        this.lastJump = null; // ok to jump on next check
+        this.lastRateAdjust = now; // but don't adjust rate until playback has settled in
+    }
+
+    // returns { diffMS, smoothedDiffMS, jumpTo, oldBoost, boost }, where
+    // jumpTo (seconds) is only present if the media should be moved, and
+    // oldBoost only if the rate was due for review.  a +ve diff means the
+    // media is *ahead* of where it should be.
+    update(now, expectedTime, actualTime) {
+        const { smoothingFactor, jumpThresholdMS, jumpCooldownMS, jumpLostTime } = this.options;
+        const diffMS = (actualTime - expectedTime) * 1000;
+        let smoothedDiffMS = Math.round(diffMS);
+        if (this.smoothedDiff === null) this.smoothedDiff = smoothedDiffMS;
+        else smoothedDiffMS = this.smoothedDiff = Math.round(smoothingFactor * diffMS + (1 - smoothingFactor) * this.smoothedDiff);
+
+        const result = { diffMS: Math.round(diffMS), smoothedDiffMS, boost: this.boost };
+
+        // if the difference is too big for rate adjustment to fix in a
+        // reasonable time, jump.  but not too often.
+        const wantToJump = Math.abs(smoothedDiffMS) > jumpThresholdMS;
+        if (wantToJump && (this.lastJump === null || now - this.lastJump > jumpCooldownMS)) {
+            this.lastJump = now;
+            this.smoothedDiff = null;
+            result.jumpTo = actualTime - smoothedDiffMS / 1000 + jumpLostTime;
+        } else if (now - this.lastRateAdjust >= this.options.checkIntervalMS) {
+            result.oldBoost = this.boost;
+            this.boost = result.boost = this.adjustBoost(now, smoothedDiffMS);
+            this.lastRateAdjust = now;
+        }
+        return result;
+    }
+
+    adjustBoost(_now, _smoothedDiffMS) { return this.boost; } // overridden
+}
+DriftController.defaults = {
+    smoothingFactor: 0.3, // weight of each new measurement in the smoothed diff
+    jumpThresholdMS: 500,
+    jumpCooldownMS: 10000, // min time between jumps
+    jumpLostTime: 0.2, // empirically, it seems that doing a jump introduces about this much delay
+    checkIntervalMS: 3000 // min time between rate adjustments
+};
+
+// the original policy: a boost of 1, 3 or 5 percent depending on the size
+// of the smoothed diff, with hysteresis on the switch back to normal speed.
+export class SteppedDriftController extends DriftController {
+    constructor(options) {
+        super({ ...SteppedDriftController.defaults, ...options });
+    }
+
+    adjustBoost(_now, smoothedDiffMS) {
+        const { steps, normalThresholdMS } = this.options;
+        const oldBoost = this.boost;
+        const diffAbs = Math.abs(smoothedDiffMS), diffSign = Math.sign(smoothedDiffMS);
+        const step = steps.find(({ thresholdMS }) => diffAbs > thresholdMS);
+        const desiredBoost = step ? -diffSign * step.boost : 0;
+        if (desiredBoost === oldBoost) return oldBoost;
+
+        // apply hysteresis on the switch to boost=0.
+        // for example, if old boost was +ve (because media was lagging),
+        // and diff is -ve (i.e., it's still lagging),
+        // and the magnitude (of the lag) is at least normalThresholdMS,
+        // don't remove the boost yet.
+        const hysteresisBlock = desiredBoost === 0 && Math.sign(oldBoost) === -diffSign && diffAbs >= normalThresholdMS;
+        return hysteresisBlock ? oldBoost : desiredBoost;
+    }
+}
+SteppedDriftController.defaults = {
+    steps: [ // largest first
+        { thresholdMS: 300, boost: 5 },
+        { thresholdMS: 150, boost: 3 },
+        { thresholdMS: 50, boost: 1 }
+    ],
+    normalThresholdMS: 25
+};
+
+// a continuous proportional-integral controller: the boost is a linear
+// function of the smoothed diff plus its accumulated history, clamped to
+// maxBoost.  reviewed more often than the stepped policy, in smaller moves.
+export class PIDriftController extends DriftController {
+    constructor(options) {
+        super({ ...PIDriftController.defaults, ...options });
+    }
+
+    reset(now) {
+        super.reset(now);
+        this.integral = 0; // ms * s
+    }
+
+    adjustBoost(now, smoothedDiffMS) {
+        const { kp, ki, maxBoost, deadbandMS } = this.options;
+        const error = Math.abs(smoothedDiffMS) < deadbandMS ? 0 : smoothedDiffMS;
+        const seconds = (now - this.lastRateAdjust) / 1000;
+        const unclamped = -(kp * error + ki * (this.integral + error * seconds));
+        const boost = Math.max(-maxBoost, Math.min(maxBoost, unclamped));
+        // only accumulate while we're not pinned at the limit (anti-windup)
+        if (boost === unclamped) this.integral += error * seconds;
+        return Math.round(boost * 100) / 100; // playback rates finer than 0.0001 are pointless
+    }
+}
+PIDriftController.defaults = {
+    checkIntervalMS: 1000,
+    kp: 0.02, // boost percent per ms of diff
+    ki: 0.0005, // boost percent per ms*s of accumulated diff
+    maxBoost: 5,
+    deadbandMS: 10
+};
+
+export const DRIFT_POLICIES = {
+    stepped: SteppedDriftController,
+    pi: PIDriftController
+};
+
+export function makeDriftController(policy, options) {
+    const ControllerClass = DRIFT_POLICIES[policy] || SteppedDriftController;
+    return new ControllerClass(options);
+}
@@ -0,0 +1,96 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// checks that the media a view ends up with is what the conductor described.
+// the conductor describes each asset by the SHA-256 hash and size in bytes
+// of its file and - for audio and video - its duration in seconds, as its
+// own browser found it - or, for media that the views stream rather than
+// fetch, by its duration alone.  other views compare what they fetch and
+// decode against that, and report any difference to the model.
+
+export const DURATION_TOLERANCE = 0.5; // seconds by which durations may differ (mp3 decoders, in particular, don't all agree)
+
+// hex, or null if this browser can't hash (crypto.subtle is only there in
+// secure contexts)
+export async function hashOf(buffer) {
+    const subtle = globalThis.crypto && globalThis.crypto.subtle;
+    if (!subtle) return null;
+
+    const digest = await subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// load a file (a blob, or the URL of one on a server) into an 'audio' or
+// 'video' element just far enough to learn its duration
+export function probeDuration(source, tagName) {
+    return new Promise((resolve, reject) => {
+        const element = document.createElement(tagName);
+        const blob = typeof source === 'string' ? null : source;
+        const url = blob ? URL.createObjectURL(blob) : source;
+        const done = () => {
+            if (blob) URL.revokeObjectURL(url);
+            element.removeAttribute('src');
+        };
+        element.preload = 'metadata';
+        element.onloadedmetadata = () => {
+            done();
+            resolve(element.duration);
+        };
+        element.onerror = () => {
+            done();
+            reject(Error(`can't read the duration of a ${(blob && blob.type) || tagName} file`));
+        };
+        element.src = url;
+        element.load();
+    });
+}
+
+// { size, hash, duration } for a file; tagName ('audio' or 'video') if it
+// has a duration
+export async function describeFile(blob, tagName) {
+    const [hash, duration] = await Promise.all([
+        blob.arrayBuffer().then(hashOf),
+        tagName ? probeDuration(blob, tagName) : undefined
+    ]);
+    const description = { size: blob.size };
+    if (hash) description.hash = hash;
+    if (duration) description.duration = Math.round(duration * 1000) / 1000;
+    return description;
+}
+
+// { duration } for an audio or video file on a server.  its hash and size
+// would mean fetching the whole file, which the views don't.
+export async function describeURL(url, tagName) {
+    const duration = await probeDuration(url, tagName);
+    return duration ? { duration: Math.round(duration * 1000) / 1000 } : {};
+}
+
+// the ways in which a fetched file differs from its asset's description, as
+// [{ kind, expected, actual }].  anything not described passes.
+export async function fileProblems(asset, blob) {
+    if (asset.size !== undefined && blob.size !== asset.size) return [{ kind: 'size', expected: asset.size, actual: blob.size }]; // no point hashing
+
+    if (asset.hash) {
+        const hash = await hashOf(await blob.arrayBuffer());
+        if (hash && hash !== asset.hash) return [{ kind: 'hash', expected: asset.hash, actual: hash }];
+    }
+    return [];
+}
+
+export function durationProblems(asset, duration) {
+    if (!asset.duration || !(Math.abs(duration - asset.duration) > DURATION_TOLERANCE)) return [];
+    return [{ kind: 'duration', expected: asset.duration, actual: duration }];
+}
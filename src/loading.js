@@ -0,0 +1,87 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+
+// fetching media for the views, with progress, and making sense of the ways
+// that a load can fail.  a failure is an Error with a kind: 'network' (the
+// file couldn't be fetched), 'decode' (it arrived, but can't be read) or
+// 'unsupported' (this browser can't play its format).  each view retries a
+// failed load after each of RETRY_DELAYS in turn, then leaves it to the
+// user.
+
+export const RETRY_DELAYS = [1000, 2000, 4000, 8000, 16000]; // ms
+
+const FAILURES = {
+    network: "Couldn't download",
+    decode: "Couldn't decode",
+    unsupported: "This browser can't play"
+};
+
+export function loadError(kind, detail) {
+    const err = Error(detail);
+    err.kind = kind;
+    return err;
+}
+
+// the error of an audio or video element, as a load error
+export function mediaError(elem) {
+    const code = elem.error ? elem.error.code : 0;
+    if (code === 3) return loadError('decode', "corrupt data, or an unsupported codec");
+    if (code === 4) return loadError('unsupported', "format not supported");
+    return loadError('network', code === 1 ? "loading aborted" : "media error");
+}
+
+// for showing to the user.  anything that isn't a load error counts as a
+// network failure, since that's where most surprises come from.
+export function describeLoadError(err, asset) {
+    const failure = FAILURES[err.kind] || FAILURES.network;
+    return `${failure} ${asset.name}${err.message ? ` (${err.message})` : ''}`;
+}
+
+// a file's contents as a blob.  onProgress, if given, is told the proportion
+// received so far as the data arrives - if the server has said how big it is.
+export async function fetchWithProgress(url, onProgress) {
+    let res;
+    try {
+        res = await fetch(url);
+    } catch (err) {
+        throw loadError('network', err.message);
+    }
+    if (!res.ok) throw loadError('network', `HTTP ${res.status}`);
+
+    try {
+        return onProgress ? await readWithProgress(res, onProgress) : await res.blob();
+    } catch (err) {
+        throw loadError('network', err.message);
+    }
+}
+
+async function readWithProgress(res, onProgress) {
+    const total = res.headers && Number(res.headers.get('content-length'));
+    if (!total || !res.body) return res.blob();
+
+    const reader = res.body.getReader();
+    const chunks = [];
+    let received = 0;
+    let chunk = await reader.read();
+    while (!chunk.done) {
+        chunks.push(chunk.value);
+        received += chunk.value.length;
+        onProgress(Math.min(1, received / total));
+        chunk = await reader.read();
+    }
+    return new Blob(chunks, { type: res.headers.get('content-type') || '' });
+}
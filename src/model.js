@@ -14,21 +14,161 @@
    limitations under the License.
 */
 
+import { DURATION_TOLERANCE } from "./integrity.js";
+import { DRIFT_POLICIES } from "./driftController.js";
+
 const { Model } = Croquet;
 
+// the report properties that are kept in each device's entry
+const DEVICE_REPORT_KEYS = ['platform', 'audioDiffMS', 'audioDiffMSSmoothed', 'boost', 'latency', 'blocked', 'outputLatencyMS', 'suspended', 'lifecycle', 'progress', 'error'];
+
+// the lifecycle states (see SyncingAudioView.setLifecycle) in which a view
+// counts as ready for a start
+const READY_STATES = ['ready', 'playing'];
+
+const LOOP_MODES = ['loop', 'once', 'repeat'];
+const MIN_RATE = 0.5;
+const MAX_RATE = 2;
+const MAX_FADE_SECONDS = 600;
+const MAX_ASSET_PROBLEMS = 50;
+const MAX_GATE_SECONDS = 600;
+
+// a volume level is a ramp in teatime: at from until start, then moving
+// linearly to reach to at end.  a steady level has from === to.
+function steadyLevel(value) {
+    return { from: value, to: value, start: 0, end: 0 };
+}
+
+function levelAt({ from, to, start, end }, time) {
+    if (time >= end) return to;
+    if (time <= start) return from;
+    return from + (to - from) * (time - start) / (end - start);
+}
+
 // a shared model for handling audio loads and interactions
 class SyncedAudioModel extends Model {
     init(options) {
         super.init(options);
-        this.asset = null;
-        this.handles = {};
+        this.handles = {}; // handleId => storage handle, for assets uploaded by the conductor
+        this.handleCount = 0;
+
+        // an ordered list of entries, played back to back.  each entry has a
+        // video asset and a set of alternative audio tracks for it (dubs,
+        // commentaries...), each a labelled audio asset.  videoAsset and
+        // audioTracks always describe the entry at currentIndex, with
+        // audioAsset being its first (default) track.  an entry can also
+        // have WebVTT caption tracks, which captionTracks describes in the
+        // same way.
+        this.playlist = [];
+        this.currentIndex = -1;
+        this.audioTracks = [];
+        this.captionTracks = [];
+        this.duration = null;
+
+        // an entry can also be a set of stems - parts of a mix, or the
+        // channels of a recording - to be spread across the room, with each
+        // audience view playing just one.  views say hello on joining, and
+        // are given whichever stem has fewest listeners (so, in turn), unless
+        // the conductor has assigned them one.  assignments are by label, so
+        // they carry over to later entries with the same stems.
+        this.stems = [];
+        this.audienceIds = []; // in order of joining
+        this.stemAssignments = {}; // viewId => label of its stem in the current entry
+        this.stemOverrides = {}; // viewId => label, as assigned by the conductor
+        this.subscribe('audience', 'hello', this.audienceHello);
+        this.subscribe('conductor', 'assign-stem', this.assignStem); // of the current entry, once the conductor has reported it
+
+        // named cue points in the current entry, as { time, label } in time
+        // order.  like audioTracks, these are the current entry's own array.
+        this.cues = [];
+        this.subscribe('conductor', 'add-cue', this.addCue);
+        this.subscribe('conductor', 'rename-cue', this.renameCue);
+        this.subscribe('conductor', 'delete-cue', this.deleteCue);
+
+        // the shared playback rate.  while playing, media time is
+        // (sessionTime - startOffset) * rate / 1000 seconds.
+        this.rate = 1;
+
+        // what happens at the end of the playlist: 'loop' starts it again,
+        // 'once' stops, and 'repeat' plays it repeatCount times in all.  the
+        // end of each item is worked out here, from teatime, so that every
+        // view moves on (or stops) at the same moment.
+        this.loopMode = 'loop';
+        this.repeatCount = 2;
+        this.playsCompleted = 0; // complete passes through the playlist, in repeat mode
+        this.hasEnded = false;
+        this.endCheckPending = false;
+
+        // only one view at a time holds the conductor role.  every control
+        // event carries the viewId of its sender, and anything not from the
+        // current conductor is dropped.
+        this.conductorId = null;
+        this.roleRequestId = null; // a view waiting for the conductor to hand over
+
+        this.subscribe('conductor', 'claim-role', this.claimRole);
+        this.subscribe('conductor', 'request-role', this.requestRole);
+        this.subscribe('conductor', 'grant-role', this.grantRole);
+        this.subscribe('conductor', 'decline-role', this.declineRole);
+        this.subscribe(this.sessionId, 'view-exit', this.viewExit);
 
         this.subscribe('conductor', 'set-assets', this.setAssets);
+        this.subscribe('conductor', 'add-to-playlist', this.addToPlaylist);
+        this.subscribe('conductor', 'remove-from-playlist', this.removeFromPlaylist);
+        this.subscribe('conductor', 'move-in-playlist', this.moveInPlaylist);
+        this.subscribe('conductor', 'jump-to-playlist-item', this.jumpToPlaylistItem);
+        this.subscribe('conductor', 'set-duration', this.setDuration);
+        this.subscribe('conductor', 'set-loop-mode', this.setLoopMode);
+        this.subscribe('conductor', 'restart-playback', this.restartPlayback);
         this.subscribe('conductor', 'set-play-state', this.setPlayState);
         this.subscribe('conductor', 'set-start-offset', this.setStartOffset);
+        this.subscribe('conductor', 'seek', this.seek);
+        this.subscribe('conductor', 'set-rate', this.setRate);
+
+        // a start that the conductor has scheduled for a future session time:
+        // { at, from, startOffset }, where from is the media time to start at
+        this.pendingStart = null;
+        this.subscribe('conductor', 'schedule-start', this.scheduleStart);
+        this.subscribe('conductor', 'cancel-start', this.cancelStart);
+
+        // the conductor can also have a start held until enough of the
+        // audience has reported that it's ready to play, or until a time
+        // limit has passed - whichever comes first.  startGate is the
+        // setting; heldStart is { from, until } while a start is held.
+        this.startGate = { enabled: false, percent: 80, seconds: 30 };
+        this.heldStart = null;
+        this.subscribe('conductor', 'set-start-gate', this.setStartGate);
+        this.subscribe('conductor', 'hold-start', this.holdStart);
+        this.subscribe('conductor', 'release-start', this.releaseStart);
+
+        // the latest timing report from each audience view, for the
+        // conductor's dashboard.  dropped when the view leaves.
+        this.devices = {};
 
         this.subscribe('audience', 'report', this.handleReport);
 
+        // which drift controller the audience views use (see driftController.js)
+        this.driftPolicy = 'stepped';
+        this.subscribe('conductor', 'set-drift-policy', this.setDriftPolicy);
+
+        // volume is the product of a master level, a level for each group of
+        // devices (those playing the same stem) and a level for each device.
+        // a fade is held as a ramp, which every view follows by its own
+        // estimate of teatime - so they move in step with no further events.
+        this.masterLevel = steadyLevel(1);
+        this.groupLevels = {}; // stem label => level
+        this.deviceLevels = {}; // viewId => level
+        this.subscribe('conductor', 'set-level', this.setLevel);
+
+        // assets can be described by hash, size and duration (see
+        // integrity.js).  views report any file that doesn't match its
+        // description, and we keep the latest reports for the conductor.  an
+        // entry whose audio and video lengths differ won't be played at all,
+        // since its end - and so any loop - would fall at the wrong point
+        // for one or the other; playbackRefusal says why.
+        this.assetProblems = []; // { viewId, asset, kind, expected, actual, teatime }, oldest first
+        this.playbackRefusal = null;
+        this.subscribe('integrity', 'problem', this.assetProblem);
+
         this.statusTick();
     }
 
@@ -36,38 +176,674 @@ class SyncedAudioModel extends Model {
         // in case the ConductorView isn't being animated, we generate a
         // tick that will nudge it once in every second of teatime
         this.publish('model', 'statusTick');
+        this.scheduleEndCheck();
         this.future(1000).statusTick();
     }
 
-    setAssets({ audio, video }) {
-        this.isPlaying = false;
-        this.startOffset = null; // only valid if playing
+    isFromConductor(data) {
+        return !!data && this.conductorId !== null && data.viewId === this.conductorId;
+    }
+
+    setConductor(viewId) {
+        this.conductorId = viewId;
+        this.roleRequestId = null;
+        this.publish('model', 'conductor-changed', viewId);
+    }
+
+    // a conductor view claims the role on startup, or when it's been released.
+    // first come, first served.
+    claimRole({ viewId }) {
+        if (this.conductorId === null) this.setConductor(viewId);
+    }
+
+    // a backup operator asks for the role.  if it's free they get it
+    // straight away; otherwise the current conductor is asked to grant it.
+    requestRole({ viewId }) {
+        if (this.conductorId === null) {
+            this.setConductor(viewId);
+            return;
+        }
+        if (viewId === this.conductorId) return;
+
+        this.roleRequestId = viewId;
+        this.publish('model', 'role-requested', viewId);
+    }
+
+    grantRole(data) {
+        if (!this.isFromConductor(data) || data.to !== this.roleRequestId) return;
+
+        this.setConductor(data.to);
+    }
+
+    declineRole(data) {
+        if (!this.isFromConductor(data) || this.roleRequestId === null) return;
+
+        this.roleRequestId = null;
+        this.publish('model', 'role-requested', null);
+    }
+
+    viewExit(viewId) {
+        if (this.devices[viewId]) {
+            delete this.devices[viewId];
+            this.publish('model', 'devices-changed');
+        }
+        if (this.deviceLevels[viewId]) {
+            delete this.deviceLevels[viewId];
+            this.publish('model', 'levels-changed');
+        }
+        if (this.audienceIds.includes(viewId)) {
+            this.audienceIds = this.audienceIds.filter(id => id !== viewId);
+            delete this.stemAssignments[viewId];
+            delete this.stemOverrides[viewId];
+            this.publish('model', 'stems-changed');
+            this.checkHeldStart(); // one fewer to wait for
+        }
+
+        if (viewId === this.conductorId) this.setConductor(null);
+        else if (viewId === this.roleRequestId) {
+            this.roleRequestId = null;
+            this.publish('model', 'role-requested', null);
+        }
+    }
+
+    // replace the whole playlist with a single entry
+    setAssets(data) {
+        if (!this.isFromConductor(data)) return;
+
+        this.playlist.forEach(entry => this.releaseHandles(entry));
+        this.playlist = [this.makePlaylistEntry(data)];
+        this.assetProblems = [];
+        this.publish('model', 'asset-problems-changed');
+        this.loadPlaylistItem(0, false);
+        this.publish('model', 'playlist-changed');
+    }
+
+    addToPlaylist(data) {
+        if (!this.isFromConductor(data)) return;
+
+        let { index } = data;
+        const entry = this.makePlaylistEntry(data);
+        if (!Number.isInteger(index) || index < 0 || index > this.playlist.length) index = this.playlist.length;
+        this.playlist.splice(index, 0, entry);
+        if (this.currentIndex === -1) this.loadPlaylistItem(0, false);
+        else if (index <= this.currentIndex) this.currentIndex++;
+        this.publish('model', 'playlist-changed');
+    }
+
+    removeFromPlaylist(data) {
+        if (!this.isFromConductor(data)) return;
+
+        const { index } = data;
+        if (!this.isPlaylistIndex(index)) return;
+
+        const [entry] = this.playlist.splice(index, 1);
+        this.releaseHandles(entry);
+        if (index < this.currentIndex) this.currentIndex--;
+        else if (index === this.currentIndex) {
+            // the current item has gone.  move on to whatever is now in its
+            // place (or the start of the list), carrying on playing if we were.
+            if (this.playlist.length === 0) {
+                this.currentIndex = -1;
+                this.isPlaying = false;
+                this.clearPendingStart(); // which would otherwise start playing nothing
+                this.audioAsset = this.videoAsset = null;
+                this.audioTracks = [];
+                this.captionTracks = [];
+                this.stems = [];
+                this.stemAssignments = {};
+                this.cues = [];
+                this.duration = null;
+                this.playbackRefusal = null;
+                this.publish('model', 'playback-refusal-changed');
+                this.publish('model', 'assets-changed');
+            } else this.loadPlaylistItem(index % this.playlist.length, this.isPlaying);
+        }
+        this.publish('model', 'playlist-changed');
+    }
+
+    // an asset is described either by a fileUrl, or - if the conductor has
+    // uploaded it to shared storage - by a handle.  handles are held in
+    // this.handles, with the asset itself just carrying the key.
+    // the conductor supplies either a single audio asset, or an array of
+    // audioTracks with labels; and optionally an array of captions, each a
+    // WebVTT asset with a label and (if known) a language, and an array of
+    // labelled stems.  an entry that has only stems uses the first as its
+    // default track, for any view that hasn't been assigned one.
+    makePlaylistEntry({ audio, audioTracks, video, captions, stems }) {
+        const entryStems = (stems || []).map(stem => this.registerHandle(stem));
+        let tracks;
+        if (audioTracks || audio) tracks = (audioTracks || [{ label: "default", ...audio }]).map(track => this.registerHandle(track));
+        else tracks = entryStems.slice(0, 1);
+        return {
+            video: this.registerHandle(video),
+            audioTracks: tracks,
+            captions: (captions || []).map(track => this.registerHandle(track)),
+            stems: entryStems,
+            cues: []
+        };
+    }
+
+    registerHandle(asset) {
+        if (!asset.handle) return asset;
+
+        const { handle, ...rest } = asset;
+        const handleId = `h${++this.handleCount}`;
+        this.handles[handleId] = handle;
+        return { ...rest, handleId };
+    }
+
+    releaseHandles(entry) {
+        [entry.video, ...entry.audioTracks, ...entry.captions, ...entry.stems].forEach(asset => {
+            if (asset.handleId) delete this.handles[asset.handleId];
+        });
+    }
+
+    moveInPlaylist(data) {
+        if (!this.isFromConductor(data)) return;
+
+        const { from, to } = data;
+        if (!this.isPlaylistIndex(from) || !this.isPlaylistIndex(to) || from === to) return;
+
+        const [entry] = this.playlist.splice(from, 1);
+        this.playlist.splice(to, 0, entry);
+        // keep currentIndex pointing at the same entry
+        const current = this.currentIndex;
+        if (current === from) this.currentIndex = to;
+        else if (from < current && to >= current) this.currentIndex--;
+        else if (from > current && to <= current) this.currentIndex++;
+        this.publish('model', 'playlist-changed');
+    }
+
+    jumpToPlaylistItem(data) {
+        if (!this.isFromConductor(data)) return;
+
+        const { index } = data;
+        if (!this.isPlaylistIndex(index)) return;
+
+        this.loadPlaylistItem(index, this.isPlaying);
+        this.publish('model', 'playlist-changed');
+    }
+
+    // whether the conductor has sent the index of an entry in the playlist
+    isPlaylistIndex(index) {
+        return Number.isInteger(index) && index >= 0 && index < this.playlist.length;
+    }
+
+    // the ConductorView sends 'set-duration' once it has loaded an entry's video
+    setDuration(data) {
+        if (!this.isFromConductor(data)) return;
+
+        const { index, duration } = data;
+        const entry = this.playlist[index];
+        if (!entry) return;
+
+        entry.duration = duration;
+        if (index === this.currentIndex) {
+            this.duration = duration;
+            this.checkDurations();
+        }
+    }
+
+    // a description of how the entry's audio and video lengths disagree,
+    // or null if they don't.  the video's length as loaded by the conductor
+    // counts for more than the one it was described with.
+    durationMismatch(entry) {
+        const videoDuration = entry.duration || entry.video.duration;
+        if (!videoDuration) return null;
+
+        const mismatch = [...entry.audioTracks, ...entry.stems].find(asset => asset.duration && Math.abs(asset.duration - videoDuration) > DURATION_TOLERANCE);
+        return mismatch ? `${mismatch.name} lasts ${mismatch.duration.toFixed(1)}s, but ${entry.video.name} lasts ${videoDuration.toFixed(1)}s` : null;
+    }
+
+    // on loading an entry, or learning its video's length.  if it turns out
+    // to be mismatched while it's playing, it stops where it is.
+    checkDurations() {
+        const refusal = this.durationMismatch(this.playlist[this.currentIndex]);
+        if (refusal === this.playbackRefusal) return;
+
+        this.playbackRefusal = refusal;
+        this.publish('model', 'playback-refusal-changed');
+        if (refusal) {
+            if (this.isPlaying) this.updatePlayState({ isPlaying: false, startOffset: null, pausedTime: Math.max(0, (this.now() - this.startOffset) * this.rate / 1000) });
+            this.clearPendingStart();
+        }
+    }
+
+    // so that a conductor that has set itself playing goes back to paused
+    refusePlayback() {
+        const { isPlaying, startOffset, pausedTime } = this;
+        this.publish('model', 'play-state-changed', { isPlaying, startOffset, pausedTime, fromModel: true });
+        this.publish('model', 'playback-refused', this.playbackRefusal);
+    }
+
+    assetProblem(problem) {
+        const { viewId, asset, kind, expected, actual } = problem;
+        const isRepeat = this.assetProblems.some(p => p.viewId === viewId && p.asset === asset && p.kind === kind && p.actual === actual);
+        if (isRepeat) return;
+
+        this.assetProblems.push({ viewId, asset, kind, expected, actual, teatime: this.now() });
+        if (this.assetProblems.length > MAX_ASSET_PROBLEMS) this.assetProblems.shift();
+        this.publish('model', 'asset-problems-changed');
+    }
+
+    addCue(data) {
+        if (!this.isFromConductor(data) || this.currentIndex === -1) return;
+
+        const { time, label } = data;
+        if (!(time >= 0) || (this.duration && time > this.duration)) return;
+
+        const cues = this.cues;
+        let index = cues.findIndex(cue => cue.time > time);
+        if (index === -1) index = cues.length;
+        cues.splice(index, 0, { time, label });
+        this.publish('model', 'cues-changed');
+    }
+
+    renameCue(data) {
+        if (!this.isFromConductor(data)) return;
+
+        const { index, label } = data;
+        const cue = this.cues[index];
+        if (!cue) return;
+
+        cue.label = label;
+        this.publish('model', 'cues-changed');
+    }
+
+    deleteCue(data) {
+        if (!this.isFromConductor(data)) return;
+
+        const { index } = data;
+        if (index < 0 || index >= this.cues.length) return;
+
+        this.cues.splice(index, 1);
+        this.publish('model', 'cues-changed');
+    }
+
+    setLoopMode(data) {
+        if (!this.isFromConductor(data)) return;
+
+        // repeat needs a count; the other modes can carry one for later
+        const { mode, count } = data;
+        if (!LOOP_MODES.includes(mode)) return;
+        if ((mode === 'repeat' || count !== undefined) && !(Number.isInteger(count) && count >= 1)) return;
+
+        this.loopMode = mode;
+        if (count !== undefined) this.repeatCount = count;
+        this.playsCompleted = 0;
+        this.publish('model', 'loop-mode-changed');
+    }
+
+    // after the playlist has ended, play it again from the top
+    restartPlayback(data) {
+        if (!this.isFromConductor(data) || !this.playlist.length) return;
+
+        this.playsCompleted = 0;
+        this.loadPlaylistItem(0, true);
+        this.publish('model', 'playlist-changed');
+    }
+
+    // the session time at which the current item will reach its end
+    itemEndTime() {
+        if (!this.isPlaying || !this.duration) return null;
+        return this.startOffset + this.duration * 1000 / this.rate;
+    }
+
+    // called from statusTick.  to avoid filling the future-message queue, we
+    // only set up a precise check once the end is less than a tick away.
+    scheduleEndCheck() {
+        const endTime = this.itemEndTime();
+        if (this.endCheckPending || endTime === null) return;
+
+        const remaining = endTime - this.now();
+        if (remaining > 1000) return;
+
+        this.endCheckPending = true;
+        this.future(Math.max(0, remaining)).checkForEnd();
+    }
+
+    checkForEnd() {
+        this.endCheckPending = false;
+        const endTime = this.itemEndTime();
+        if (endTime === null) return; // paused in the meantime
+
+        if (endTime > this.now()) { // the start offset has moved on
+            this.scheduleEndCheck();
+            return;
+        }
+
+        // start the next item, with its timeline following on exactly from
+        // the end of this one
+        if (this.currentIndex < this.playlist.length - 1) {
+            this.loadPlaylistItem(this.currentIndex + 1, true, endTime);
+            this.publish('model', 'playlist-changed');
+            return;
+        }
+
+        this.playsCompleted++;
+        const again = this.loopMode === 'loop' || (this.loopMode === 'repeat' && this.playsCompleted < this.repeatCount);
+        if (again) {
+            if (this.playlist.length === 1) this.updatePlayState({ isPlaying: true, startOffset: endTime, pausedTime: 0 }); // no need to reload
+            else {
+                this.loadPlaylistItem(0, true, endTime);
+                this.publish('model', 'playlist-changed');
+            }
+            return;
+        }
+
+        this.playsCompleted = 0;
+        this.updatePlayState({ isPlaying: false, startOffset: null, pausedTime: this.duration });
+        this.hasEnded = true;
+        this.publish('model', 'playback-ended');
+    }
+
+    loadPlaylistItem(index, requestPlay, startOffset) {
+        this.currentIndex = index;
+        this.playbackRefusal = this.durationMismatch(this.playlist[index]);
+        this.publish('model', 'playback-refusal-changed');
+        const play = requestPlay && !this.playbackRefusal;
+        this.isPlaying = play;
+        this.startOffset = play ? (startOffset === undefined ? this.now() : startOffset) : null; // only valid if playing
         this.pausedTime = 0; // only valid if paused
+        this.hasEnded = false;
+        this.clearPendingStart();
 
-        this.audioAsset = audio;
+        const { audioTracks, captions, stems, video, duration, cues } = this.playlist[index];
+        this.audioTracks = audioTracks;
+        this.captionTracks = captions;
+        this.stems = stems;
+        this.assignStems();
+        this.cues = cues;
+        this.audioAsset = audioTracks[0];
         this.videoAsset = video;
+        this.duration = duration || null;
         this.publish('model', 'assets-changed');
     }
 
+    audienceHello({ viewId }) {
+        if (this.audienceIds.includes(viewId)) return;
+
+        this.audienceIds.push(viewId);
+        this.stemAssignments[viewId] = this.stemFor(viewId);
+        this.publish('model', 'stems-changed');
+        this.publish('model', 'devices-changed'); // the readiness count has changed
+    }
+
+    // label is null to go back to automatic assignment
+    assignStem(data) {
+        if (!this.isFromConductor(data)) return;
+
+        const { target, label } = data;
+        if (!this.audienceIds.includes(target)) return;
+
+        if (label === null) delete this.stemOverrides[target];
+        else this.stemOverrides[target] = label;
+        delete this.stemAssignments[target]; // so it doesn't count itself
+        this.stemAssignments[target] = this.stemFor(target);
+        this.publish('model', 'stems-changed');
+    }
+
+    // the conductor's choice, if this entry has that stem.  otherwise keep
+    // the view's current stem, if this entry has that; otherwise the stem
+    // with fewest views assigned, earliest in the list on a tie.
+    stemFor(viewId) {
+        const labels = this.stems.map(stem => stem.label);
+        if (!labels.length) return null;
+
+        const override = this.stemOverrides[viewId], current = this.stemAssignments[viewId];
+        if (labels.includes(override)) return override;
+        if (labels.includes(current)) return current;
+
+        const counts = labels.map(label => Object.values(this.stemAssignments).filter(assigned => assigned === label).length);
+        return labels[counts.indexOf(Math.min(...counts))];
+    }
+
+    // on loading an entry.  views keep their stems where they can.
+    assignStems() {
+        const previous = this.stemAssignments;
+        this.stemAssignments = {};
+        const labels = this.stems.map(stem => stem.label);
+        // first those whose stem is still there, then the rest in joining order
+        const keeping = this.audienceIds.filter(viewId => labels.includes(this.stemOverrides[viewId]) || labels.includes(previous[viewId]));
+        const rest = this.audienceIds.filter(viewId => !keeping.includes(viewId));
+        [...keeping, ...rest].forEach(viewId => {
+            this.stemAssignments[viewId] = previous[viewId];
+            this.stemAssignments[viewId] = this.stemFor(viewId);
+        });
+        this.publish('model', 'stems-changed');
+    }
+
+    // a change of play state that originates here rather than with the
+    // conductor, so the conductor needs to apply it too
+    updatePlayState({ isPlaying, startOffset, pausedTime }) {
+        this.isPlaying = isPlaying;
+        this.startOffset = startOffset;
+        this.pausedTime = pausedTime;
+        this.publish('model', 'play-state-changed', { isPlaying, startOffset, pausedTime, fromModel: true });
+    }
+
     // the ConductorView sends 'set-play-state' events when the user plays, pauses or scrubs the video.
     setPlayState(data) {
+        if (!this.isFromConductor(data)) return;
+
         const { isPlaying, startOffset, pausedTime } = data;
+        if (isPlaying && this.playbackRefusal) {
+            this.refusePlayback();
+            return;
+        }
+
         this.isPlaying = isPlaying;
         this.startOffset = startOffset;
         this.pausedTime = pausedTime;
+        this.hasEnded = false;
+        this.clearPendingStart();
         this.publish('model', 'play-state-changed', { isPlaying, startOffset, pausedTime });
     }
 
-    setStartOffset(startOffset) {
-        if (!this.isPlaying) return;
+    // start playing (from the current paused position) delay ms from now.
+    // scheduling again replaces any start already pending.
+    scheduleStart(data) {
+        if (!this.isFromConductor(data) || !Number.isFinite(data.delay) || this.isPlaying || !this.playlist.length) return; // a NaN start would never come
+
+        if (this.hasEnded) this.loadPlaylistItem(0, false); // start again from the top
+        if (this.playbackRefusal) {
+            this.refusePlayback();
+            return;
+        }
+        const at = this.now() + Math.max(0, data.delay);
+        const from = this.pausedTime || 0;
+        this.pendingStart = { at, from, startOffset: this.scheduledStartOffset(at, from) };
+        this.future(at - this.now()).startScheduled(at);
+        this.publish('model', 'pending-start-changed');
+    }
+
+    cancelStart(data) {
+        if (this.isFromConductor(data)) this.clearPendingStart();
+    }
+
+    // a start of either kind: scheduled or held
+    clearPendingStart() {
+        if (this.heldStart) {
+            this.heldStart = null;
+            this.publish('model', 'held-start-changed');
+        }
+        if (!this.pendingStart) return;
+
+        this.pendingStart = null;
+        this.publish('model', 'pending-start-changed');
+    }
+
+    scheduledStartOffset(at, from) {
+        return Math.round(at - from * 1000 / this.rate);
+    }
+
+    startScheduled(at) {
+        if (!this.pendingStart || this.pendingStart.at !== at) return; // cancelled or rescheduled
+
+        const { startOffset } = this.pendingStart;
+        this.pendingStart = null;
+        this.updatePlayState({ isPlaying: true, startOffset, pausedTime: 0 });
+        this.publish('model', 'pending-start-changed');
+    }
+
+    setStartGate(data) {
+        if (!this.isFromConductor(data)) return;
+
+        const { enabled, percent, seconds } = data;
+        if (!(percent >= 0 && percent <= 100) || !(seconds >= 0 && seconds <= MAX_GATE_SECONDS)) return;
+
+        this.startGate = { enabled: !!enabled, percent, seconds };
+        this.publish('model', 'start-gate-changed');
+        this.checkHeldStart();
+    }
+
+    // start playing (from the current paused position) once the start gate
+    // allows.  if enough of the audience is ready already, that's now.
+    holdStart(data) {
+        if (!this.isFromConductor(data) || this.isPlaying || !this.playlist.length) return;
+
+        if (this.hasEnded) this.loadPlaylistItem(0, false); // start again from the top
+        if (this.playbackRefusal) {
+            this.refusePlayback();
+            return;
+        }
+        this.clearPendingStart();
+        const until = this.now() + this.startGate.seconds * 1000;
+        this.heldStart = { from: this.pausedTime || 0, until };
+        this.future(until - this.now()).heldStartTimedOut(until);
+        this.publish('model', 'held-start-changed');
+        this.checkHeldStart();
+    }
+
+    // the conductor has decided not to wait any longer
+    releaseStart(data) {
+        if (this.isFromConductor(data) && this.heldStart) this.startHeld();
+    }
+
+    // how many of the audience views have said they're ready to play
+    audienceReadiness() {
+        const ready = this.audienceIds.filter(viewId => {
+            const device = this.devices[viewId];
+            return device && READY_STATES.includes(device.lifecycle);
+        }).length;
+        return { ready, total: this.audienceIds.length };
+    }
+
+    checkHeldStart() {
+        if (!this.heldStart) return;
+
+        const { ready, total } = this.audienceReadiness();
+        if (!this.startGate.enabled || ready >= total * this.startGate.percent / 100) this.startHeld();
+    }
+
+    heldStartTimedOut(until) {
+        if (this.heldStart && this.heldStart.until === until) this.startHeld(); // unless cancelled or started
+    }
+
+    startHeld() {
+        const { from } = this.heldStart;
+        this.heldStart = null;
+        this.publish('model', 'held-start-changed');
+        this.updatePlayState({ isPlaying: true, startOffset: this.scheduledStartOffset(this.now(), from), pausedTime: 0 });
+    }
+
+    setStartOffset(data) {
+        if (!this.isFromConductor(data) || !this.isPlaying) return;
 
+        const { startOffset } = data;
         this.startOffset = startOffset;
         this.publish('model', 'start-offset-changed', startOffset);
     }
 
+    // a deliberate move of the playhead while playing, as opposed to the
+    // conductor's routine timing announcements.  views jump straight to it.
+    seek(data) {
+        if (!this.isFromConductor(data) || !this.isPlaying) return;
+
+        const { startOffset } = data;
+        this.startOffset = startOffset;
+        this.publish('model', 'seeked', startOffset);
+    }
+
+    setRate(data) {
+        if (!this.isFromConductor(data) || !Number.isFinite(data.rate)) return; // NaN would get through the clamping
+
+        const rate = Math.max(MIN_RATE, Math.min(MAX_RATE, data.rate));
+        if (rate === this.rate) return;
+
+        // move the start offset so that the current position is unchanged
+        if (this.isPlaying) {
+            const now = this.now();
+            this.startOffset = Math.round(now - (now - this.startOffset) * this.rate / rate);
+        }
+        this.rate = rate;
+        if (this.pendingStart) {
+            const { at, from } = this.pendingStart;
+            this.pendingStart = { at, from, startOffset: this.scheduledStartOffset(at, from) };
+            this.publish('model', 'pending-start-changed');
+        }
+        this.publish('model', 'rate-changed', { rate, startOffset: this.startOffset });
+    }
+
+    setDriftPolicy(data) {
+        if (!this.isFromConductor(data) || data.policy === this.driftPolicy) return;
+        if (!Object.keys(DRIFT_POLICIES).includes(data.policy)) return;
+
+        this.driftPolicy = data.policy;
+        this.publish('model', 'drift-policy-changed', data.policy);
+    }
+
+    // { target, id, level, from, duration }: target is 'master', 'group' (with
+    // the stem label as id) or 'device' (with the viewId).  the level moves
+    // from where it is now - or from from, if given, as for a fade in from
+    // silence - to level, over duration seconds.
+    setLevel(data) {
+        if (!this.isFromConductor(data)) return;
+
+        const { target, id, level, from, duration = 0 } = data;
+        const isLevel = value => typeof value === 'number' && value >= 0 && value <= 1;
+        if (!isLevel(level) || (from !== undefined && !isLevel(from))) return;
+        if (!(duration >= 0 && duration <= MAX_FADE_SECONDS)) return;
+
+        const now = this.now();
+        const ramp = current => ({ from: from === undefined ? levelAt(current || steadyLevel(1), now) : from, to: level, start: now, end: now + duration * 1000 });
+        if (target === 'master') this.masterLevel = ramp(this.masterLevel);
+        else if (target === 'group' && this.stems.some(stem => stem.label === id)) this.groupLevels[id] = ramp(this.groupLevels[id]);
+        else if (target === 'device' && this.audienceIds.includes(id)) this.deviceLevels[id] = ramp(this.deviceLevels[id]);
+        else return;
+
+        this.publish('model', 'levels-changed');
+    }
+
+    // a view's volume at the given teatime
+    volumeFor(viewId, time) {
+        const group = this.stemAssignments[viewId];
+        const levels = [this.masterLevel, group && this.groupLevels[group], this.deviceLevels[viewId]];
+        return levels.reduce((volume, level) => (level ? volume * levelAt(level, time) : volume), 1);
+    }
+
+    // the level that a ramp is heading for (or is at)
+    targetLevel(target, id) {
+        const level = target === 'master' ? this.masterLevel : (target === 'group' ? this.groupLevels : this.deviceLevels)[id];
+        return level ? level.to : 1;
+    }
+
     handleReport(report) {
-        console.log(Object.keys(report).sort().map(k => `${k}:${report[k]}`).join(', '));
-        this.publish(report.viewId, 'reportReceived');
+        const { viewId } = report;
+        let device = this.devices[viewId];
+        if (!device) device = this.devices[viewId] = { viewId, jumps: 0, suspensions: 0 };
+
+        if (report.suspended && !device.suspended) device.suspensions++;
+        DEVICE_REPORT_KEYS.forEach(key => {
+            if (report[key] !== undefined) device[key] = report[key];
+        });
+        if (report.jumped !== undefined) device.jumps++;
+        device.lastReport = this.now();
+
+        this.publish('model', 'devices-changed');
+        this.publish('model', 'audience-report', report); // for anyone recording the stream
+        if (report.audioTime !== undefined) this.publish(viewId, 'reportReceived'); // only timing reports are timed
+        if (report.lifecycle !== undefined) this.checkHeldStart();
     }
 }
 SyncedAudioModel.register("SyncedAudioModel");
@@ -0,0 +1,84 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// shared storage for media files that the conductor picks from disk.  a file
+// is uploaded once; the shared model only ever holds the handle that comes
+// back, and each view fetches the data by that handle.
+//
+// by default we use Croquet's Data API.  adding "storage=local" to the page's
+// URL (on the conductor) switches uploads to a stand-in that keeps the data in
+// this browser's IndexedDB, so everything can be tried out offline - as long
+// as the conductor and audience pages are open in the same browser.
+
+const { Data } = Croquet;
+
+const croquetStorage = {
+    store(sessionId, buffer) {
+        return Data.store(sessionId, buffer); // NB: the buffer is detached by this
+    },
+
+    fetch(sessionId, handle) {
+        return Data.fetch(sessionId, handle);
+    }
+};
+
+const DB_NAME = 'croquet-audio-sync';
+const DB_STORE = 'media';
+
+let dbPromise = null;
+function openDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+async function withStore(mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const request = fn(db.transaction(DB_STORE, mode).objectStore(DB_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const indexedDBStorage = {
+    async store(sessionId, buffer) {
+        const key = `${sessionId}/${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        await withStore('readwrite', store => store.put(buffer, key));
+        return { local: key };
+    },
+
+    async fetch(_sessionId, handle) {
+        const buffer = await withStore('readonly', store => store.get(handle.local));
+        if (!buffer) throw Error(`no local data for ${handle.local}`);
+        return buffer;
+    }
+};
+
+export function storeData(sessionId, buffer) {
+    const useLocal = new URL(window.location.href).searchParams.get('storage') === 'local';
+    return (useLocal ? indexedDBStorage : croquetStorage).store(sessionId, buffer);
+}
+
+export function fetchData(sessionId, handle) {
+    return (handle.local ? indexedDBStorage : croquetStorage).fetch(sessionId, handle);
+}
@@ -0,0 +1,80 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// waveform summaries of audio assets, for drawing on the audience timebar.
+// the audio is decoded here (a worker has no AudioContext to do it with), and
+// waveformWorker.js reduces the samples to a fixed number of peak and RMS
+// buckets off the main thread.  summaries are cached by asset, so coming back
+// to one - or redrawing at a new size - needs no further work.
+
+const WAVEFORM_BUCKETS = 1000;
+
+const cache = new Map(); // asset key => promise of { peaks, rms }
+const pendingRequests = new Map(); // request id => { resolve, reject }
+let nextRequestId = 1;
+let worker = null;
+
+// a worker that fails to load, or throws, can't say which request it was on:
+// all of them fail, and the next request starts a new worker
+function workerFailed(message) {
+    worker.terminate();
+    worker = null;
+    const requests = [...pendingRequests.values()];
+    pendingRequests.clear();
+    requests.forEach(({ reject }) => reject(Error(message)));
+}
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('./waveformWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = ({ data }) => {
+            const request = pendingRequests.get(data.id);
+            pendingRequests.delete(data.id);
+            if (request) request.resolve({ peaks: data.peaks, rms: data.rms });
+        };
+        worker.onerror = event => {
+            if (event.preventDefault) event.preventDefault(); // it's handled here
+            workerFailed(`waveform worker failed: ${event.message || "couldn't load it"}`);
+        };
+        worker.onmessageerror = () => workerFailed("waveform worker's reply couldn't be read");
+    }
+    return worker;
+}
+
+async function computeWaveform(blob, audioContext) {
+    const data = await blob.arrayBuffer();
+    const buffer = await new Promise((resolve, reject) => audioContext.decodeAudioData(data, resolve, reject)); // callback form, for older Safari
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c).slice()); // copies, so they can be transferred
+
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve, reject });
+        getWorker().postMessage({ id, channels, buckets: WAVEFORM_BUCKETS }, channels.map(samples => samples.buffer));
+    });
+}
+
+// an asset is identified by its shared-storage handle, or else its URL
+export function waveformFor(asset, blob, audioContext) {
+    const key = asset.handleId || asset.fileUrl;
+    let promise = cache.get(key);
+    if (!promise) {
+        promise = computeWaveform(blob, audioContext);
+        promise.catch(() => cache.delete(key)); // so that a later attempt can try again
+        cache.set(key, promise);
+    }
+    return promise;
+}
@@ -0,0 +1,45 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// boils decoded audio down to a fixed number of buckets, each holding the
+// peak and RMS level of its share of the samples (across all channels).
+// posted { id, channels: [Float32Array...], buckets }; replies { id, peaks, rms }.
+
+self.onmessage = ({ data }) => {
+    const { id, channels, buckets } = data;
+    const length = channels.length ? channels[0].length : 0;
+    const peaks = new Float32Array(buckets);
+    const rms = new Float32Array(buckets);
+    const perBucket = length / buckets;
+
+    for (let b = 0; b < buckets; b++) {
+        const start = Math.floor(b * perBucket), end = Math.max(start + 1, Math.floor((b + 1) * perBucket));
+        let peak = 0, sumOfSquares = 0, count = 0;
+        channels.forEach(samples => {
+            for (let i = start; i < end && i < length; i++) {
+                const value = samples[i];
+                const abs = Math.abs(value);
+                if (abs > peak) peak = abs;
+                sumOfSquares += value * value;
+                count++;
+            }
+        });
+        peaks[b] = peak;
+        rms[b] = count ? Math.sqrt(sumOfSquares / count) : 0;
+    }
+
+    self.postMessage({ id, peaks, rms }, [peaks.buffer, rms.buffer]);
+};
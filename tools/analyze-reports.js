@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// summarises a report history downloaded from the conductor page (as JSON
+// Lines or CSV), per audience device, per platform and per drift policy:
+// percentiles of the drift, how long each device took to converge, and how
+// many jumps and rate changes it made.  for comparing correction policies
+// across rehearsals.
+//
+//   node tools/analyze-reports.js reports.jsonl [--threshold 50] [--json]
+//
+// a device counts as converged once its smoothed drift has stayed within the
+// threshold (ms) for CONVERGE_RUN reports in a row.
+
+import fs from 'fs';
+import path from 'path';
+
+const CONVERGE_RUN = 3;
+
+function usage() {
+    console.error("usage: node tools/analyze-reports.js <reports.jsonl|reports.csv> [--threshold ms] [--json]");
+    process.exit(1);
+}
+
+function parseArgs(argv) {
+    const options = { file: null, threshold: 50, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') options.json = true;
+        else if (arg === '--threshold') options.threshold = Number(argv[++i]);
+        else if (arg.startsWith('--')) usage();
+        else options.file = arg;
+    }
+    if (!options.file || !(options.threshold > 0)) usage();
+    return options;
+}
+
+// split one CSV line into fields, allowing for quoted fields with embedded
+// commas and doubled quotes.  (the conductor never writes embedded newlines.)
+function splitCSVLine(line) {
+    const fields = [];
+    let field = '', quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"') quoted = true;
+        else if (char === ',') { fields.push(field); field = ''; }
+        else field += char;
+    }
+    fields.push(field);
+    return fields;
+}
+
+function csvValue(str) {
+    if (str === '') return undefined;
+    if (str === 'true') return true;
+    if (str === 'false') return false;
+    const num = Number(str);
+    return Number.isNaN(num) ? str : num;
+}
+
+function readReports(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        console.error(`can't read ${file}: ${err.code === 'ENOENT' ? "no such file" : err.message}`);
+        process.exit(1);
+    }
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (!lines.length) return [];
+
+    if (path.extname(file) === '.csv' || !lines[0].startsWith('{')) {
+        const columns = splitCSVLine(lines[0]);
+        return lines.slice(1).map(line => {
+            const fields = splitCSVLine(line);
+            const report = {};
+            columns.forEach((column, i) => {
+                const value = csvValue(fields[i] || '');
+                if (value !== undefined) report[column] = value;
+            });
+            return report;
+        });
+    }
+    // a recording that was cut off can end part way through a line, so a
+    // line that can't be read is left out rather than losing the rest
+    const reports = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+            const report = JSON.parse(line);
+            if (!report || typeof report !== 'object') throw Error("not a report");
+            reports.push(report);
+        } catch (err) {
+            console.warn(`${file}:${i + 1}: skipping a line that can't be read (${err.message})`);
+        }
+    });
+    return reports;
+}
+
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1));
+    return sorted[index];
+}
+
+// teatime (ms) from a device's first timing report to its convergence, or null
+function timeToConverge(timed, threshold) {
+    let run = 0;
+    for (const report of timed) {
+        if (report.audioDiffMSSmoothed === undefined) continue;
+
+        run = Math.abs(report.audioDiffMSSmoothed) <= threshold ? run + 1 : 0;
+        if (run === CONVERGE_RUN) return report.teatime - timed[0].teatime;
+    }
+    return null;
+}
+
+function summarise(reports) {
+    const timed = reports.filter(report => report.audioDiffMS !== undefined);
+    const drifts = timed.map(report => Math.abs(report.audioDiffMS)).sort((a, b) => a - b);
+    return {
+        reports: reports.length,
+        p50: percentile(drifts, 50),
+        p90: percentile(drifts, 90),
+        p99: percentile(drifts, 99),
+        max: drifts.length ? drifts[drifts.length - 1] : null,
+        jumps: reports.filter(report => report.jumped !== undefined).length,
+        rateChanges: reports.filter(report => report.newBoost !== undefined).length,
+        blocked: reports.filter(report => report.blocked === true).length,
+        suspensions: reports.filter(report => report.suspended && typeof report.suspended === 'string').length
+    };
+}
+
+function analyse(reports, threshold) {
+    const byDevice = {};
+    reports.forEach(report => {
+        if (!report.viewId) return;
+        (byDevice[report.viewId] = byDevice[report.viewId] || []).push(report);
+    });
+
+    const devices = Object.keys(byDevice).map(viewId => {
+        const deviceReports = byDevice[viewId].sort((a, b) => (a.teatime || 0) - (b.teatime || 0));
+        const timed = deviceReports.filter(report => report.audioDiffMS !== undefined);
+        const last = key => {
+            const found = deviceReports.filter(report => report[key] !== undefined).pop();
+            return found ? found[key] : undefined;
+        };
+        return {
+            viewId,
+            platform: last('platform') || 'unknown',
+            driftPolicy: last('driftPolicy') || 'unknown',
+            engine: last('engine') || 'unknown',
+            ...summarise(deviceReports),
+            convergeMS: timed.length ? timeToConverge(timed, threshold) : null
+        };
+    });
+
+    const groupBy = key => {
+        const groups = {};
+        devices.forEach(device => (groups[device[key]] = groups[device[key]] || []).push(device));
+        return Object.keys(groups).sort().map(name => {
+            const members = groups[name];
+            const memberReports = reports.filter(report => members.some(device => device.viewId === report.viewId));
+            const converged = members.map(device => device.convergeMS).filter(ms => ms !== null);
+            return {
+                [key]: name,
+                devices: members.length,
+                ...summarise(memberReports),
+                meanConvergeMS: converged.length ? Math.round(converged.reduce((a, b) => a + b, 0) / converged.length) : null,
+                neverConverged: members.length - converged.length
+            };
+        });
+    };
+
+    return { threshold, devices, platforms: groupBy('platform'), policies: groupBy('driftPolicy') };
+}
+
+function printTable(title, rows, columns) {
+    console.log(`\n${title}`);
+    if (!rows.length) {
+        console.log("  (none)");
+        return;
+    }
+    const cell = value => (value === null || value === undefined ? '-' : String(value));
+    const widths = columns.map(column => Math.max(column.length, ...rows.map(row => cell(row[column]).length)));
+    const line = values => `  ${values.map((value, i) => value.padEnd(widths[i])).join('  ')}`.trimEnd();
+    console.log(line(columns));
+    rows.forEach(row => console.log(line(columns.map(column => cell(row[column])))));
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const analysis = analyse(readReports(options.file), options.threshold);
+    if (options.json) {
+        console.log(JSON.stringify(analysis, null, 2));
+        return;
+    }
+
+    const stats = ['reports', 'p50', 'p90', 'p99', 'max', 'jumps', 'rateChanges', 'blocked', 'suspensions'];
+    console.log(`drift in ms (absolute); converged = smoothed drift within ${options.threshold}ms for ${CONVERGE_RUN} reports`);
+    printTable("per device", analysis.devices, ['viewId', 'platform', 'driftPolicy', 'engine', ...stats, 'convergeMS']);
+    printTable("per platform", analysis.platforms, ['platform', 'devices', ...stats, 'meanConvergeMS', 'neverConverged']);
+    printTable("per drift policy", analysis.policies, ['driftPolicy', 'devices', ...stats, 'meanConvergeMS', 'neverConverged']);
+}
+
+main();
@@ -0,0 +1,148 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+
+// a static file server that honours HTTP range requests, so that playlist
+// entries added by URL can be streamed - and so devices can start part way
+// through - without putting the media on a CDN.
+//
+//   node tools/serve.js [root] [--port 8000] [--host 127.0.0.1] [--cors]
+//
+// serves only the assets and dist directories of root (by default the
+// current directory), each under its own name, and by default only to this
+// machine and to pages of the same origin; --host 0.0.0.0 lets other devices
+// on the network in, and --cors lets pages from any origin use the media.
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.vtt': 'text/vtt; charset=utf-8'
+};
+
+// the byte range { start, end } (inclusive) asked for by a Range header on
+// a file of the given size; null if there's no usable range (so the whole
+// file should be sent), or 'unsatisfiable'.  only single ranges are
+// supported, which is all that media elements ask for.
+export function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+    let start, end;
+    if (match[1] === '') { // the last n bytes
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    if (start >= size || start > end) return 'unsatisfiable';
+    return { start, end };
+}
+
+function send(res, status, headers, body) {
+    res.writeHead(status, headers);
+    res.end(body);
+}
+
+// answer a request that failed on the filesystem: 404 for a file that isn't
+// there, 500 for anything else - or, part way through the file, just cut the
+// response off, since its status has already gone.
+function fail(res, headers, error) {
+    if (res.headersSent) { res.destroy(); return; }
+    send(res, ['ENOENT', 'ENOTDIR'].includes(error.code) ? 404 : 500, headers);
+}
+
+export function createServer(root, { dirs = ['assets', 'dist'], cors = false } = {}) {
+    return http.createServer((req, res) => {
+        const headers = cors ? {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Range',
+            'Access-Control-Expose-Headers': 'Accept-Ranges, Content-Length, Content-Range'
+        } : {};
+        if (req.method === 'OPTIONS' && cors) { send(res, 204, headers); return; }
+        if (req.method !== 'GET' && req.method !== 'HEAD') { send(res, 405, { ...headers, Allow: 'GET, HEAD' }); return; }
+
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (e) {
+            send(res, 400, headers);
+            return;
+        }
+        // the first segment picks the directory; nothing else under root is served
+        const [, dir, ...rest] = pathname.split('/');
+        if (!dirs.includes(dir)) { send(res, 404, headers); return; }
+        const base = path.resolve(root, dir);
+        let file = path.join(base, ...rest);
+        if (file !== base && !file.startsWith(base + path.sep)) { send(res, 404, headers); return; }
+        try {
+            let stats = fs.statSync(file, { throwIfNoEntry: false });
+            if (stats && stats.isDirectory()) {
+                file = path.join(file, 'index.html');
+                stats = fs.statSync(file, { throwIfNoEntry: false });
+            }
+            if (!stats || !stats.isFile()) { send(res, 404, headers); return; }
+
+            const { size } = stats;
+            Object.assign(headers, {
+                'Accept-Ranges': 'bytes',
+                'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream'
+            });
+            const range = parseRange(req.headers.range, size);
+            if (range === 'unsatisfiable') { send(res, 416, { ...headers, 'Content-Range': `bytes */${size}` }); return; }
+
+            const { start, end } = range || { start: 0, end: size - 1 };
+            // opened before the headers go, so that a file we can't read still gets a status
+            const fd = req.method === 'HEAD' || !size ? null : fs.openSync(file, 'r');
+            if (range) headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+            headers['Content-Length'] = size ? end - start + 1 : 0;
+            res.writeHead(range ? 206 : 200, headers);
+            if (fd === null) { res.end(); return; }
+            const stream = fs.createReadStream(null, { fd, start, end });
+            stream.on('error', error => fail(res, headers, error));
+            res.on('close', () => stream.destroy()); // a client that goes away mid-file
+            stream.pipe(res);
+        } catch (e) {
+            fail(res, headers, e);
+        }
+    });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const portIndex = args.indexOf('--port');
+    const port = portIndex >= 0 ? Number(args.splice(portIndex, 2)[1]) : 8000;
+    const hostIndex = args.indexOf('--host');
+    const host = hostIndex >= 0 ? args.splice(hostIndex, 2)[1] : '127.0.0.1';
+    const corsIndex = args.indexOf('--cors');
+    const cors = corsIndex >= 0 && !!args.splice(corsIndex, 1);
+    const root = args[0] || '.';
+    createServer(root, { cors }).listen(port, host, () => console.log(`serving ${path.resolve(root, 'assets')} and ${path.resolve(root, 'dist')} at http://${host}:${port}/`));
+}
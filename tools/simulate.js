@@ -0,0 +1,74 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+
+// runs the audience/conductor views headlessly against a simulated session,
+// clocks and media (see tools/simulation), and checks that every device
+// converges on the session timeline.
+//
+//   node tools/simulate.js [scenario...] [--verbose]
+//
+// with no scenario names, runs them all.  exits with 1 if any check fails.
+
+import { performance } from 'perf_hooks';
+import { SCENARIOS } from './simulation/scenarios.js';
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const names = args.filter(arg => !arg.startsWith('--'));
+const unknown = names.filter(name => !SCENARIOS[name]);
+if (unknown.length) {
+    console.error(`unknown scenario: ${unknown.join(', ')}.  available: ${Object.keys(SCENARIOS).join(', ')}`);
+    process.exit(2);
+}
+
+// the views log freely; keep that out of the way unless asked for
+const { log, warn, info, error } = console;
+function quiet() {
+    if (!verbose) console.log = console.warn = console.info = console.error = () => {};
+}
+function loud() {
+    Object.assign(console, { log, warn, info, error });
+}
+
+function formatStats(stats) {
+    return Object.keys(stats).map(name => {
+        const { samples, p50, p95, max } = stats[name];
+        return `    ${name.padEnd(12)} p50 ${String(p50).padStart(4)}ms  p95 ${String(p95).padStart(4)}ms  max ${String(max).padStart(4)}ms  (${samples} samples)`;
+    }).join('\n');
+}
+
+let failed = 0;
+for (const name of names.length ? names : Object.keys(SCENARIOS)) {
+    const started = performance.now(); // Date.now() is simulated
+    quiet();
+    let recorder, error;
+    try {
+        recorder = await SCENARIOS[name]();
+    } catch (e) {
+        error = e;
+    }
+    loud();
+    const seconds = ((performance.now() - started) / 1000).toFixed(1);
+    const failures = error ? [error.stack] : recorder.failures;
+    console.log(`${failures.length ? "FAIL" : "ok  "} ${name} (${seconds}s)`);
+    if (recorder && recorder.stats) console.log(formatStats(recorder.stats));
+    failures.slice(0, 10).forEach(failure => console.log(`    ! ${failure}`));
+    if (failures.length > 10) console.log(`    ! ...and ${failures.length - 10} more`);
+    if (failures.length) failed++;
+}
+
+process.exit(failed ? 1 : 0);
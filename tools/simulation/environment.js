@@ -0,0 +1,975 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// a stand-in for everything that the app's models and views expect of the
+// browser and of Croquet, so that they can be run - unmodified - in node,
+// on simulated time.
+//
+// - a Scheduler replaces the clock: Date.now(), setTimeout and setInterval
+//   all run on simulated milliseconds, and only advance when told to.
+// - a Session plays the part of Croquet and its reflector.  there is a single
+//   model; events published by a view reach it after the device's uplink
+//   delay, and its own events go to the views as Croquet would deliver them
+//   (at once for 'immediate' subscriptions, otherwise on the next frame).
+// - each Device has its own document, localStorage, navigator (with a media
+//   session) and session clock (with a fixed error and random jitter), and
+//   its media elements and AudioContexts play on simulated time, with
+//   configurable drift, seek and start delays, and blocking of unmuted play
+//   until the user "taps".
+// - a Worker runs its script in this thread, replying a moment later; it can
+//   be made to fail to load, and raises an error event if the script throws.
+//
+// the app's modules destructure the Croquet globals when they're loaded, so
+// the fake classes here are fixed, and refer to whichever Simulation is
+// current.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs';
+
+const EPOCH = Date.UTC(2021, 0, 1); // wall-clock time at the start of every simulation
+const FRAME_MS = 20; // simulated time between animation frames
+const USER_AGENT = "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/92.0 Safari/537.36 (simulated)";
+
+const realSetImmediate = setImmediate;
+const realDateNow = Date.now;
+const realRandom = Math.random;
+
+const deviceContext = new AsyncLocalStorage(); // the Device whose code is running, if any
+let sim = null; // the current Simulation
+
+function currentDevice() {
+    return deviceContext.getStore() || null;
+}
+
+// a small seedable PRNG (mulberry32), so that runs are repeatable
+export function makeRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// let all pending promise callbacks (and anything they chain) run
+function settle() {
+    return new Promise(resolve => realSetImmediate(resolve));
+}
+
+class Scheduler {
+    constructor() {
+        this.time = 0; // ms
+        this.queue = []; // { time, id, fn, context }, in order
+        this.lastId = 0;
+    }
+
+    // runs fn after delay ms, in the same device context as the caller
+    schedule(delay, fn, context = currentDevice()) {
+        const id = ++this.lastId;
+        const item = { time: this.time + Math.max(0, delay || 0), id, fn, context };
+        let lo = 0, hi = this.queue.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.queue[mid].time <= item.time) lo = mid + 1;
+            else hi = mid;
+        }
+        this.queue.splice(lo, 0, item);
+        return id;
+    }
+
+    cancel(id) {
+        const index = this.queue.findIndex(item => item.id === id);
+        if (index >= 0) this.queue.splice(index, 1);
+    }
+
+    async runUntil(time) {
+        while (this.queue.length && this.queue[0].time <= time) {
+            const item = this.queue.shift();
+            this.time = item.time;
+            deviceContext.run(item.context, item.fn);
+            await settle();
+        }
+        this.time = time;
+    }
+}
+
+// timers, as seen by the app.  a timer's handle stays the same across the
+// repeats of an interval.
+const timers = new Map(); // handle => scheduler id
+let lastTimerHandle = 0;
+
+function fakeSetTimeout(fn, delay, ...args) {
+    const handle = ++lastTimerHandle;
+    timers.set(handle, sim.scheduler.schedule(delay, () => {
+        timers.delete(handle);
+        fn(...args);
+    }));
+    return handle;
+}
+
+function fakeSetInterval(fn, delay, ...args) {
+    const handle = ++lastTimerHandle;
+    const tick = () => {
+        timers.set(handle, sim.scheduler.schedule(delay, tick));
+        fn(...args);
+    };
+    timers.set(handle, sim.scheduler.schedule(delay, tick));
+    return handle;
+}
+
+function fakeClearTimer(handle) {
+    if (!timers.has(handle)) return;
+
+    sim.scheduler.cancel(timers.get(handle));
+    timers.delete(handle);
+}
+
+// listeners for addEventListener on documents, windows and elements
+class FakeEventTarget {
+    constructor() {
+        this.listeners = {};
+    }
+
+    addEventListener(type, fn) {
+        (this.listeners[type] = this.listeners[type] || []).push(fn);
+    }
+
+    removeEventListener(type, fn) {
+        this.listeners[type] = (this.listeners[type] || []).filter(listener => listener !== fn);
+    }
+
+    dispatchEvent(evt) {
+        const event = { target: this, preventDefault() {}, stopPropagation() {}, ...evt };
+        (this.listeners[event.type] || []).slice().forEach(fn => fn(event));
+        const handler = this[`on${event.type}`];
+        if (typeof handler === 'function') handler(event);
+    }
+}
+
+// a 2d canvas context that draws nothing
+const fakeContext2D = new Proxy({}, {
+    get: (target, name) => (name in target ? target[name] : () => {}),
+    set: (target, name, value) => { target[name] = value; return true; }
+});
+
+class FakeElement extends FakeEventTarget {
+    constructor(tagName, id = '') {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.style = {};
+        this.children = [];
+        this.parentNode = null;
+        this.textContent = '';
+        this.value = '';
+        this.title = '';
+        this.className = '';
+        this.disabled = false;
+        this.files = [];
+        this.width = 300;
+        this.height = 20;
+    }
+
+    // as in a real DOM, setting the text replaces any children
+    get textContent() { return this.text; }
+
+    set textContent(text) {
+        this.children.forEach(child => child.parentNode = null);
+        this.children = [];
+        this.text = String(text);
+    }
+
+    appendChild(child) {
+        if (child.parentNode) child.parentNode.removeChild(child);
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(c => c !== child);
+        child.parentNode = null;
+        return child;
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    querySelector(_selector) {
+        if (!this.queried) this.queried = new FakeElement('div');
+        return this.queried;
+    }
+
+    removeAttribute(name) { this[name] = ''; }
+    closest(_selector) { return null; }
+    getBoundingClientRect() { return { width: this.width, height: this.height }; }
+    getContext() { return fakeContext2D; }
+    click() { this.dispatchEvent({ type: 'click' }); }
+    focus() {}
+}
+
+// an <audio> or <video> element, whose position runs on simulated time.
+// truePosition() is what is actually being heard (or seen) at this moment.
+class FakeMediaElement extends FakeElement {
+    constructor(tagName, device) {
+        super(tagName);
+        this.device = device;
+        this.paused = true;
+        this.position = 0; // seconds, as of resumeAt
+        this.resumeAt = 0; // sim time from which position advances (later than now while seeking or starting)
+        this.rate = 1;
+        this.volume = 1;
+        this.muted = false;
+        this.duration = NaN;
+        this.src = '';
+        this.error = null;
+        this.videoWidth = 640;
+        this.videoHeight = 360;
+        device.mediaElements.push(this);
+    }
+
+    canPlayType() { return 'probably'; }
+
+    // the src is an object URL for a fetched blob, or a simulated media URL
+    // to be streamed - which, like a fetch, can fail
+    load() {
+        const blob = sim.objectURLs.get(this.src);
+        const media = sim.media.get(this.src);
+        this.streamed = !blob && !!media;
+        this.dataAt = 0; // when data for the current position is here, if streamed
+        if (this.streamed) this.device.streams.push(this.src);
+        const failed = this.streamed && this.device.media.failures > 0;
+        if (failed) this.device.media.failures--;
+        setTimeout(() => {
+            if ((!blob && !media) || failed) {
+                this.error = { code: failed ? 2 : 4 };
+                this.dispatchEvent({ type: 'error' });
+                return;
+            }
+            this.duration = blob ? blob.simDuration : fetchedDuration(this.device, media);
+            this.dispatchEvent({ type: 'loadedmetadata' });
+            this.dispatchEvent({ type: 'canplay' });
+        }, this.device.media.loadMS);
+    }
+
+    truePosition() {
+        const position = this.paused ? this.position : this.position + Math.max(0, sim.scheduler.time - this.resumeAt) / 1000 * this.rate * (1 + this.device.media.drift);
+        return Math.min(this.duration || 0, position);
+    }
+
+    get currentTime() { return this.truePosition(); }
+
+    set currentTime(time) {
+        this.position = Math.max(0, Math.min(this.duration || 0, time));
+        if (this.streamed) {
+            // which has to be requested from the new position
+            this.dataAt = sim.scheduler.time + this.device.media.rangeMS;
+            this.device.ranges.push(this.position);
+        }
+        this.resumeAt = Math.max(this.dataAt, sim.scheduler.time + (this.paused ? 0 : this.device.media.seekLatencyMS));
+    }
+
+    get playbackRate() { return this.rate; }
+
+    set playbackRate(rate) {
+        this.position = this.truePosition();
+        this.resumeAt = Math.max(this.resumeAt, sim.scheduler.time);
+        this.rate = rate;
+    }
+
+    play() {
+        if (!this.muted && this.device.blocked) return Promise.reject(new Error("NotAllowedError: play() needs a user gesture"));
+
+        if (this.paused) {
+            this.paused = false;
+            this.resumeAt = Math.max(this.resumeAt, this.dataAt, sim.scheduler.time + this.device.media.startLatencyMS);
+        }
+        return Promise.resolve();
+    }
+
+    pause() {
+        this.position = this.truePosition();
+        this.paused = true;
+    }
+}
+
+// the parts of the Web Audio API that BufferAudioView and ClickTrack use.
+// the context's clock runs at the device's media drift.
+class FakeAudioParam {
+    constructor(value, onChange) {
+        this.current = value;
+        this.onChange = onChange;
+    }
+
+    get value() { return this.current; }
+
+    set value(value) {
+        if (this.onChange) this.onChange();
+        this.current = value;
+    }
+
+    setValueAtTime() {}
+    exponentialRampToValueAtTime() {}
+}
+
+class FakeBufferSource {
+    constructor(context) {
+        this.context = context;
+        this.buffer = null;
+        this.startTime = null; // context time that position applies from
+        this.position = 0;
+        this.stopped = false;
+        this.playbackRate = new FakeAudioParam(1, () => this.fold());
+    }
+
+    connect() {}
+    disconnect() {}
+
+    start(when, offset = 0) {
+        this.startTime = Math.max(when, this.context.currentTime);
+        this.position = offset;
+        this.context.source = this;
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.context.source === this) this.context.source = null;
+    }
+
+    // before a rate change, bring position up to date
+    fold() {
+        if (this.startTime === null) return;
+
+        const now = this.context.currentTime;
+        if (now <= this.startTime) return;
+
+        this.position = this.truePosition();
+        this.startTime = now;
+    }
+
+    truePosition() {
+        if (this.startTime === null || this.stopped) return null;
+
+        const elapsed = Math.max(0, this.context.currentTime - this.startTime);
+        return Math.min(this.buffer.duration, this.position + elapsed * this.playbackRate.value);
+    }
+
+    isSounding() {
+        return this.startTime !== null && !this.stopped && this.context.currentTime >= this.startTime && this.context.state === 'running';
+    }
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.device = currentDevice() || sim.defaultDevice;
+        this.createdAt = sim.scheduler.time;
+        this.state = 'suspended';
+        this.onstatechange = null;
+        this.baseLatency = 0;
+        this.outputLatency = 0;
+        this.destination = { connect() {}, disconnect() {} };
+        this.source = null; // the buffer source currently playing
+        this.device.audioContexts.push(this);
+    }
+
+    get currentTime() {
+        return (sim.scheduler.time - this.createdAt) / 1000 * (1 + this.device.media.drift);
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+
+        this.state = state;
+        if (this.onstatechange) this.onstatechange();
+    }
+
+    resume() {
+        if (!this.device.blocked) this.setState('running');
+        return Promise.resolve();
+    }
+
+    suspend() {
+        this.setState('suspended');
+        return Promise.resolve();
+    }
+
+    createGain() {
+        return { gain: new FakeAudioParam(1), connect() {}, disconnect() {} };
+    }
+
+    createOscillator() {
+        return { frequency: new FakeAudioParam(440), connect() {}, disconnect() {}, start() {}, stop() {} };
+    }
+
+    createBufferSource() {
+        return new FakeBufferSource(this);
+    }
+
+    decodeAudioData(data, resolve, reject) {
+        const promise = Promise.resolve().then(() => {
+            const { duration } = JSON.parse(new TextDecoder().decode(data));
+            return { duration, numberOfChannels: 0, getChannelData() { return new Float32Array(0); } };
+        });
+        promise.then(resolve, reject);
+        return promise;
+    }
+}
+
+// real digests finish on another thread, in real time, so would come back
+// after the simulation had moved on.  this one (FNV-1a, eight ways, which is
+// plenty to tell files apart) is done on the spot.
+const fakeCrypto = {
+    subtle: {
+        async digest(_algorithm, buffer) {
+            const bytes = new Uint8Array(buffer.buffer ? buffer.buffer : buffer);
+            const words = new Uint32Array(8);
+            for (let w = 0; w < 8; w++) {
+                let hash = 0x811c9dc5 ^ w;
+                for (let i = 0; i < bytes.length; i++) hash = Math.imul(hash ^ bytes[i], 0x01000193) >>> 0;
+                words[w] = hash;
+            }
+            return words.buffer;
+        }
+    }
+};
+
+// media "files": each just knows its duration
+class MediaBlob extends Blob {
+    constructor(duration, type) {
+        const text = JSON.stringify({ duration });
+        super([text], { type });
+        this.simDuration = duration;
+        this.simText = text;
+    }
+
+    arrayBuffer() {
+        return Promise.resolve(new TextEncoder().encode(this.simText).buffer);
+    }
+}
+
+// media data, as uploaded to shared storage and fetched back, and its
+// duration.  a Blob made from such data is a media file too.
+const mediaData = new WeakMap();
+const RealBlob = Blob;
+class SimBlob extends RealBlob {
+    constructor(parts, options) {
+        super(parts, options);
+        if (parts && parts.length === 1 && mediaData.has(parts[0])) this.simDuration = mediaData.get(parts[0]);
+    }
+}
+
+function mediaBuffer(duration) {
+    const buffer = new TextEncoder().encode(JSON.stringify({ duration })).buffer;
+    mediaData.set(buffer, duration);
+    return buffer;
+}
+
+// a worker script runs against its own self, with messages in either
+// direction arriving on a later turn, as across threads
+export class FakeWorker {
+    constructor(url) {
+        this.onmessage = this.onerror = this.onmessageerror = null;
+        this.terminated = false;
+        FakeWorker.created++;
+        if (FakeWorker.failLoads > 0) {
+            FakeWorker.failLoads--;
+            this.later(() => this.onerror && this.onerror({ message: "" }));
+            return;
+        }
+        this.scope = { onmessage: null, postMessage: data => this.later(() => this.onmessage && this.onmessage({ data })) };
+        new Function('self', fs.readFileSync(url, 'utf8'))(this.scope); // eslint-disable-line no-new-func
+    }
+
+    later(fn) {
+        realSetImmediate(() => {
+            if (!this.terminated) fn();
+        });
+    }
+
+    postMessage(data) {
+        this.later(() => {
+            if (!this.scope) return; // never loaded
+            try {
+                this.scope.onmessage({ data });
+            } catch (err) {
+                if (this.onerror) this.onerror({ message: `Uncaught ${err}` });
+            }
+        });
+    }
+
+    terminate() { this.terminated = true; }
+}
+FakeWorker.created = 0; // how many workers have been started
+FakeWorker.failLoads = 0; // how many of the workers started from now on fail to load
+
+class FakeStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+    setItem(key, value) { this.items.set(key, String(value)); }
+    removeItem(key) { this.items.delete(key); }
+}
+
+// records the handlers for media keys, which a scenario can then press
+class FakeMediaSession {
+    constructor() {
+        this.metadata = null;
+        this.playbackState = 'none';
+        this.handlers = {};
+    }
+
+    setActionHandler(action, handler) { this.handlers[action] = handler; }
+    setPositionState() {}
+}
+
+class FakeDocument extends FakeEventTarget {
+    constructor(device) {
+        super();
+        this.device = device;
+        this.hidden = false;
+        this.body = new FakeElement('body');
+        this.elements = new Map();
+    }
+
+    getElementById(id) {
+        if (!this.elements.has(id)) {
+            const element = new FakeElement(id === 'timebar' ? 'canvas' : 'div', id);
+            this.body.appendChild(element);
+            this.elements.set(id, element);
+        }
+        return this.elements.get(id);
+    }
+
+    createElement(tagName) {
+        return tagName === 'audio' || tagName === 'video' ? new FakeMediaElement(tagName, this.device) : new FakeElement(tagName);
+    }
+}
+
+export const MEDIA_DEFAULTS = {
+    drift: 0, // fractional error in the media clock: 0.001 runs 0.1% fast
+    seekLatencyMS: 0, // how long output stalls after a seek
+    startLatencyMS: 0, // how long output takes to begin after play()
+    loadMS: 100,
+    truncated: false, // whether every media file this device fetches is cut short
+    failures: 0, // how many of this device's media fetches or streams fail, before they start working
+    rangeMS: 50 // extra delay for streamed media to get going at a new position
+};
+
+// the length of a media file as the device receives it
+function fetchedDuration(device, media) {
+    return device && device.media.truncated ? media.duration * 0.9 : media.duration;
+}
+
+// one browser, with its own page, clock and media
+export class Device {
+    constructor({ name, clockOffsetMS = 0, clockJitterMS = 0, uplinkMS = 30, blocked = false, engine = 'element', media = {} }) {
+        this.name = name;
+        this.viewId = `view-${name}`;
+        this.clockOffsetMS = clockOffsetMS; // error in this device's estimate of session time
+        this.clockJitterMS = clockJitterMS;
+        this.uplinkMS = uplinkMS; // delay for an event on its way to the reflector
+        this.blocked = blocked; // whether unmuted media may play before a tap
+        this.engine = engine;
+        this.media = { ...MEDIA_DEFAULTS, ...media };
+        this.document = new FakeDocument(this);
+        this.window = new FakeEventTarget();
+        this.localStorage = new FakeStorage();
+        this.navigator = { userAgent: USER_AGENT, language: 'en-US', mediaSession: new FakeMediaSession() };
+        this.mediaElements = [];
+        this.audioContexts = [];
+        this.fetched = []; // URLs (or shared storage keys) fetched whole
+        this.streams = []; // URLs of media streamed
+        this.ranges = []; // positions (seconds) from which streamed media was requested
+        this.pending = []; // queued model events, for the next frame
+        this.view = null;
+    }
+
+    extrapolatedNow() {
+        return sim.scheduler.time + this.clockOffsetMS + (sim.random() * 2 - 1) * this.clockJitterMS;
+    }
+
+    run(fn) {
+        return deviceContext.run(this, fn);
+    }
+}
+
+class Model {
+    static register() {}
+
+    init() {}
+
+    get sessionId() { return sim.sessionId; }
+
+    now() { return sim.scheduler.time; }
+
+    subscribe(scope, event, handler) {
+        sim.subscribeModel(scope, event, handler.bind(this));
+    }
+
+    publish(scope, event, data) {
+        sim.publishFromModel(scope, event, data);
+    }
+
+    future(delay) {
+        return new Proxy({}, {
+            get: (_target, name) => (...args) => sim.scheduler.schedule(delay, () => this[name](...args), null)
+        });
+    }
+}
+
+const viewDevices = new WeakMap();
+
+class View {
+    constructor(_model) {
+        const device = currentDevice();
+        viewDevices.set(this, device);
+        this.viewId = device.viewId;
+        this.sessionId = sim.sessionId;
+        this.realm = { isSynced: () => true };
+    }
+
+    subscribe(scope, spec, handler) {
+        const { event, handling = 'queued' } = typeof spec === 'string' ? { event: spec } : spec;
+        sim.subscribeView(viewDevices.get(this), this, scope, event, handling, handler.bind(this));
+    }
+
+    publish(scope, event, data) {
+        sim.publishFromView(viewDevices.get(this), scope, event, data);
+    }
+
+    now() { return sim.scheduler.time; }
+
+    extrapolatedNow() { return viewDevices.get(this).extrapolatedNow(); }
+
+    future(delay) {
+        return new Proxy({}, {
+            get: (_target, name) => (...args) => setTimeout(() => this[name](...args), delay)
+        });
+    }
+
+    detach() {
+        sim.unsubscribeView(this);
+    }
+
+    static displayStatus(message) { sim.log.push(`status: ${message}`); }
+    static displayWarning(message) { sim.log.push(`warning: ${message}`); }
+    static displayError(message) { sim.log.push(`error: ${message}`); }
+}
+
+const fakeCroquet = {
+    Model,
+    View,
+    Session: { join() { throw Error("the simulation joins views itself"); } },
+    App: {},
+    // shared storage holds just what it's given, but a device with
+    // truncated media gets it back cut short
+    Data: {
+        async store(_sessionId, buffer) {
+            const key = `sim:stored-${sim.stored.size + 1}`;
+            sim.stored.set(key, JSON.parse(new TextDecoder().decode(buffer)).duration);
+            return { key };
+        },
+        async fetch(_sessionId, { key }) {
+            const duration = sim.stored.get(key);
+            if (duration === undefined) throw Error(`nothing stored as ${key}`);
+
+            const device = currentDevice();
+            if (device && device.media.failures > 0) {
+                device.media.failures--;
+                throw Error("couldn't fetch the data");
+            }
+            if (device) device.fetched.push(key);
+            return mediaBuffer(device && device.media.truncated ? duration * 0.9 : duration);
+        }
+    }
+};
+
+// install the fakes as globals.  the app's modules read some of them as
+// they load, so this must happen before they are imported.
+let installed = false;
+function install() {
+    if (installed) return;
+
+    installed = true;
+    const perDevice = key => ({
+        get: () => (currentDevice() || sim.defaultDevice)[key],
+        configurable: true
+    });
+    Object.defineProperty(globalThis, 'document', perDevice('document'));
+    Object.defineProperty(globalThis, 'localStorage', perDevice('localStorage'));
+    Object.defineProperty(globalThis, 'navigator', perDevice('navigator'));
+    globalThis.window = globalThis;
+    globalThis.location = { href: 'https://simulation.invalid/index.html' };
+    globalThis.addEventListener = (type, fn) => (currentDevice() || sim.defaultDevice).window.addEventListener(type, fn);
+    globalThis.removeEventListener = (type, fn) => (currentDevice() || sim.defaultDevice).window.removeEventListener(type, fn);
+    Object.defineProperty(globalThis, 'crypto', { value: fakeCrypto, configurable: true, writable: true });
+    globalThis.Croquet = fakeCroquet;
+    globalThis.AudioContext = FakeAudioContext;
+    globalThis.Worker = FakeWorker;
+    globalThis.Blob = SimBlob;
+    globalThis.setTimeout = fakeSetTimeout;
+    globalThis.setInterval = fakeSetInterval;
+    globalThis.clearTimeout = fakeClearTimer;
+    globalThis.clearInterval = fakeClearTimer;
+    Date.now = () => (sim ? EPOCH + sim.scheduler.time : realDateNow());
+    Math.random = () => (sim ? sim.random() : realRandom());
+    URL.createObjectURL = blob => {
+        const url = `blob:simulation/${++sim.lastObjectURL}`;
+        sim.objectURLs.set(url, blob);
+        return url;
+    };
+    URL.revokeObjectURL = url => sim.objectURLs.delete(url);
+    globalThis.fetch = async url => {
+        const text = sim.texts.get(url);
+        if (text) return { ok: true, blob: async () => new Blob([text], { type: 'text/vtt' }) };
+
+        const media = sim.media.get(url);
+        if (!media) throw Error(`no simulated media at ${url}`);
+
+        const device = currentDevice();
+        if (device && device.media.failures > 0) {
+            device.media.failures--;
+            throw TypeError("Failed to fetch");
+        }
+        if (device) device.fetched.push(url);
+        return { ok: true, blob: async () => new MediaBlob(fetchedDuration(device, media), media.type) };
+    };
+}
+
+// the app's modules, loaded once the fakes are in place
+let modules = null;
+async function loadModules() {
+    if (!modules) {
+        install();
+        await import('../../src/model.js');
+        const [{ SyncingAudioView }, { ConductorView }] = await Promise.all([
+            import('../../src/audienceView.js'),
+            import('../../src/conductorView.js')
+        ]);
+        modules = { SyncedAudioModel: globalThis.SyncedAudioModel, SyncingAudioView, ConductorView };
+    }
+    return modules;
+}
+
+export class Simulation {
+    static async create(options = {}) {
+        const simulation = new Simulation(options);
+        sim = simulation; // before loading, since loading creates the shared timebar views
+        const { SyncedAudioModel, ConductorView } = await loadModules();
+        simulation.views = modules;
+        ConductorView.sampleAssets = {
+            audio: { fileUrl: 'sim:audio', name: "simAudio" },
+            video: { fileUrl: 'sim:video', name: "simVideo" }
+        };
+        if (simulation.texts.has('sim:captions')) ConductorView.sampleAssets.captions = [{ fileUrl: 'sim:captions', name: "simCaptions", label: "simulated", language: 'en' }];
+        if (options.stream) ['audio', 'video'].forEach(key => ConductorView.sampleAssets[key].stream = true);
+        if (options.stems) ConductorView.sampleAssets.stems = options.stems.map(label => ({ fileUrl: `sim:stem-${label}`, name: `simStem-${label}`, label }));
+        if (options.upload) ConductorView.sampleAssets = null; // the session starts empty, for the conductor to upload to
+        simulation.model = new SyncedAudioModel();
+        deviceContext.run(null, () => simulation.model.init({}));
+        simulation.scheduler.schedule(FRAME_MS, () => simulation.frame(), null);
+        return simulation;
+    }
+
+    // with captions, the media has a WebVTT track whose cues read "second N"
+    // from N to N+1 seconds.  stems is an array of labels.  audioDuration
+    // makes the audio a different length from the video.
+    constructor({ seed = 1, mediaDuration = 60, audioDuration = mediaDuration, captions = false, stems = [], logEvents = false }) {
+        this.scheduler = new Scheduler();
+        this.random = makeRandom(seed);
+        this.sessionId = 'simulated-session';
+        this.defaultDevice = new Device({ name: 'default' });
+        this.devices = [];
+        this.modelSubscriptions = new Map(); // "scope:event" => [handler]
+        this.viewSubscriptions = []; // { device, view, scope, event, handling, handler }
+        this.lastArrival = 0; // of events at the reflector, which keeps them in order
+        this.objectURLs = new Map();
+        this.lastObjectURL = 0;
+        this.stored = new Map(); // shared storage: key => duration
+        this.media = new Map([ // url => { duration, type, and the file name for an upload }
+            ['sim:audio', { duration: audioDuration, type: 'audio/mpeg', fileName: 'simAudio.mp3' }],
+            ['sim:video', { duration: mediaDuration, type: 'video/mp4', fileName: 'simVideo.mp4' }],
+            ...stems.map(label => [`sim:stem-${label}`, { duration: mediaDuration, type: 'audio/mpeg', fileName: `${label}.mp3` }])
+        ]);
+        this.texts = new Map();
+        if (captions) {
+            const cues = [];
+            const stamp = seconds => new Date(seconds * 1000).toISOString().slice(11, 23);
+            for (let second = 0; second < mediaDuration; second++) cues.push(`${stamp(second)} --> ${stamp(second + 1)}\nsecond ${second}`);
+            this.texts.set('sim:captions', `WEBVTT\n\n${cues.join('\n\n')}\n`);
+        }
+        this.log = [];
+        this.logEvents = logEvents;
+        this.modelEvents = []; // { time, event, data }
+    }
+
+    get time() { return this.scheduler.time; }
+
+    subscribeModel(scope, event, handler) {
+        const key = `${scope}:${event}`;
+        if (!this.modelSubscriptions.has(key)) this.modelSubscriptions.set(key, []);
+        this.modelSubscriptions.get(key).push(handler);
+    }
+
+    subscribeView(device, view, scope, event, handling, handler) {
+        this.viewSubscriptions.push({ device, view, scope, event, handling, handler });
+    }
+
+    unsubscribeView(view) {
+        this.viewSubscriptions = this.viewSubscriptions.filter(subscription => subscription.view !== view);
+        this.devices.forEach(device => device.pending = device.pending.filter(({ subscription }) => subscription.view !== view));
+    }
+
+    // via the reflector: events reach the model in the order they arrive
+    publishFromView(device, scope, event, data) {
+        const handlers = this.modelSubscriptions.get(`${scope}:${event}`);
+        if (!handlers) return;
+
+        const copy = data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+        const arrival = Math.max(this.lastArrival, this.time + device.uplinkMS);
+        this.lastArrival = arrival;
+        this.scheduler.schedule(arrival - this.time, () => handlers.forEach(handler => handler(copy)), null);
+    }
+
+    publishFromModel(scope, event, data) {
+        if (scope === 'model') this.modelEvents.push({ time: this.time, event, data });
+        (this.modelSubscriptions.get(`${scope}:${event}`) || []).forEach(handler => handler(data));
+        this.deliverToViews(scope, event, data);
+    }
+
+    deliverToViews(scope, event, data) {
+        this.viewSubscriptions.filter(s => s.scope === scope && s.event === event).forEach(subscription => {
+            const { device, handling, handler } = subscription;
+            if (handling === 'immediate') device.run(() => handler(data));
+            else {
+                if (handling !== 'queued') device.pending = device.pending.filter(p => p.subscription !== subscription); // once per frame
+                device.pending.push({ subscription, data });
+            }
+        });
+    }
+
+    frame() {
+        this.scheduler.schedule(FRAME_MS, () => this.frame(), null);
+        this.devices.forEach(device => device.run(() => {
+            const { pending } = device;
+            device.pending = [];
+            pending.forEach(({ subscription, data }) => subscription.handler(data));
+            if (device.view && device.view.update) device.view.update();
+        }));
+    }
+
+    join(device, ViewClass) {
+        this.devices.push(device);
+        device.run(() => {
+            device.view = new ViewClass(this.model);
+        });
+        this.deliverToViews(device.viewId, 'synced', true);
+        return device;
+    }
+
+    addConductor(options = {}) {
+        return this.join(new Device({ name: 'conductor', ...options }), this.views.ConductorView);
+    }
+
+    addAudience(options) {
+        const device = new Device(options);
+        device.localStorage.setItem('croquet-audio-sync-engine', device.engine);
+        return this.join(device, this.views.SyncingAudioView);
+    }
+
+    leave(device) {
+        device.run(() => device.view.detach());
+        this.devices = this.devices.filter(d => d !== device);
+        this.publishFromView(device, this.sessionId, 'view-exit', device.viewId);
+    }
+
+    // a user gesture on the device's page: from now on it may play sound
+    tap(device) {
+        device.blocked = false;
+        device.run(() => device.view.handleUserClick({}));
+    }
+
+    // the conductor's controls
+    click(device) {
+        device.run(() => device.view.handleUserClick({}));
+    }
+
+    scrub(device, proportion) {
+        device.run(() => device.view.handleTimebar(proportion));
+    }
+
+    // pick media files (by their simulated URLs) on the conductor's page and
+    // upload them to shared storage, as a new playlist entry.  the upload
+    // runs on simulated time, so isn't done until the simulation has run on.
+    upload(device, { video, audio = [], stems = [] }) {
+        const file = url => {
+            const { duration, type, fileName } = this.media.get(url);
+            return Object.assign(new MediaBlob(duration, type), { name: fileName });
+        };
+        const { document } = device;
+        document.getElementById('video-file').files = [file(video)];
+        document.getElementById('audio-file').files = audio.map(file);
+        document.getElementById('stems-file').files = stems.map(file);
+        document.getElementById('captions-file').files = [];
+        device.run(() => device.view.addLocalFiles());
+    }
+
+    // where the session says the media should be (seconds), or null if paused
+    expectedTime() {
+        const { isPlaying, startOffset, rate, duration } = this.model;
+        if (!isPlaying) return null;
+
+        const time = (this.time - startOffset) * rate / 1000;
+        return duration && time > duration ? null : time;
+    }
+
+    // what the device is actually outputting (seconds), or null if silent
+    heardTime(device) {
+        const view = device.view;
+        if (view.videoView) return view.videoView.video.paused ? null : view.videoView.video.truePosition();
+
+        const audioView = view.audioView;
+        if (!audioView) return null;
+        if (audioView.audio) return audioView.audio.paused || audioView.audio.muted ? null : audioView.audio.truePosition();
+
+        const source = audioView.context.source;
+        return source && source.isSounding() ? source.truePosition() : null;
+    }
+
+    // the volume that the device's audio is set to, or null if it has none
+    heardVolume(device) {
+        const { audioView } = device.view;
+        return audioView ? audioView.volume() : null;
+    }
+
+    // the text of the caption that the device is showing
+    shownCaption(device) {
+        return device.document.getElementById('captions').textContent;
+    }
+
+    async run(duration, { sampleEvery = 250, onSample } = {}) {
+        const end = this.time + duration;
+        while (this.time < end) {
+            await this.scheduler.runUntil(Math.min(end, this.time + sampleEvery));
+            if (onSample) onSample(this.time);
+        }
+    }
+}
@@ -0,0 +1,852 @@
+/*
+   Copyright 2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// scenarios for the simulation harness: each sets up a session, drives the
+// conductor through some interactions, and checks how closely every
+// device's output follows the session timeline.
+//
+// errors are sampled every SAMPLE_MS as (what the device is outputting) -
+// (where the session says the media should be), in ms.  after anything
+// that moves the timeline (a play, a seek, a loop...), devices are given
+// settleMS to converge before the bounds apply.
+
+import { execFile } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { Simulation, FakeWorker } from './environment.js';
+import { createServer } from '../serve.js';
+import { DRIFT_POLICIES, PIDriftController, makeDriftController } from '../../src/driftController.js';
+
+const SAMPLE_MS = 250;
+
+// a mixed room: phones on audio elements, with their start and seek delays,
+// and devices on Web Audio.  all have clocks that drift a little, and
+// imperfect estimates of session time.
+const CONDUCTOR = { media: { startLatencyMS: 100, seekLatencyMS: 100 } };
+const AUDIENCE = [
+    { name: 'phone-a', engine: 'element', clockOffsetMS: 10, clockJitterMS: 5, uplinkMS: 60, media: { drift: 0.002, startLatencyMS: 80, seekLatencyMS: 150 } },
+    { name: 'phone-b', engine: 'element', clockOffsetMS: -15, clockJitterMS: 8, uplinkMS: 80, media: { drift: -0.003, startLatencyMS: 120, seekLatencyMS: 100 } },
+    { name: 'laptop', engine: 'webaudio', clockOffsetMS: 5, clockJitterMS: 2, uplinkMS: 20, media: { drift: 0.0005 } },
+    { name: 'tablet', engine: 'webaudio', clockOffsetMS: -5, clockJitterMS: 4, uplinkMS: 40, media: { drift: -0.001 } }
+];
+
+// the model events after which devices need time to settle
+const DISRUPTIONS = ['play-state-changed', 'seeked', 'assets-changed', 'rate-changed'];
+
+class Recorder {
+    constructor(sim, devices) {
+        this.sim = sim;
+        this.devices = devices;
+        this.samples = []; // { time, position, errors: { name: ms or null }, captions: { name: text }, volumes: { name: [actual, expected] } }
+        this.failures = [];
+    }
+
+    sample(time) {
+        const expected = this.sim.expectedTime();
+        const errors = {}, captions = {}, volumes = {};
+        this.devices.forEach(device => {
+            const heard = this.sim.heardTime(device);
+            errors[device.name] = expected === null || heard === null ? null : Math.round((heard - expected) * 1000);
+            captions[device.name] = this.sim.shownCaption(device);
+            volumes[device.name] = [this.sim.heardVolume(device), this.sim.model.volumeFor(device.viewId, this.sim.time)];
+        });
+        const { isPlaying, pausedTime } = this.sim.model;
+        const position = isPlaying ? expected : pausedTime; // where the session is, in seconds
+        this.samples.push({ time, position, errors, captions, volumes });
+    }
+
+    run(duration) {
+        return this.sim.run(duration, { sampleEvery: SAMPLE_MS, onSample: time => this.sample(time) });
+    }
+
+    lastDisruption(time) {
+        const events = this.sim.modelEvents.filter(({ time: t, event }) => t <= time && DISRUPTIONS.includes(event));
+        return events.length ? events[events.length - 1].time : -Infinity;
+    }
+
+    // absolute errors (ms) for each device over samples in [from, to] that
+    // are at least settleMS past the last disruption
+    settledErrors({ from = 0, to = Infinity, settleMS }) {
+        const errors = {};
+        this.devices.forEach(device => errors[device.name] = []);
+        this.samples.forEach(({ time, errors: sampled }) => {
+            if (time < from || time > to || time - this.lastDisruption(time) < settleMS) return;
+            Object.keys(sampled).forEach(name => {
+                if (sampled[name] !== null) errors[name].push(Math.abs(sampled[name]));
+            });
+        });
+        return errors;
+    }
+
+    expect(ok, message) {
+        if (!ok) this.failures.push(message);
+    }
+
+    // every device is playing, and within bounds, once settled
+    expectConverged({ label, settleMS, p95MS, maxMS, minSamples = 10, from, to, devices = this.devices }) {
+        const errors = this.settledErrors({ from, to, settleMS });
+        const stats = {};
+        devices.forEach(({ name }) => {
+            const sorted = errors[name].sort((a, b) => a - b);
+            if (sorted.length < minSamples) {
+                this.expect(false, `${label}: ${name} had only ${sorted.length} settled samples`);
+                return;
+            }
+            const p95 = sorted[Math.ceil(sorted.length * 0.95) - 1];
+            const max = sorted[sorted.length - 1];
+            stats[name] = { samples: sorted.length, p50: sorted[Math.ceil(sorted.length * 0.5) - 1], p95, max };
+            this.expect(p95 <= p95MS, `${label}: ${name} p95 error ${p95}ms > ${p95MS}ms`);
+            this.expect(max <= maxMS, `${label}: ${name} max error ${max}ms > ${maxMS}ms`);
+        });
+        return stats;
+    }
+
+    // every device is within maxMS at every sample in [from, to]
+    expectWithin({ label, from, to, maxMS }) {
+        this.samples.filter(({ time }) => time >= from && time <= to).forEach(({ time, errors }) => {
+            Object.keys(errors).forEach(name => {
+                const error = errors[name];
+                if (error === null) this.expect(false, `${label}: ${name} silent at ${time}ms`);
+                else this.expect(Math.abs(error) <= maxMS, `${label}: ${name} off by ${error}ms at ${time}ms`);
+            });
+        });
+    }
+
+    // with the simulation's captions, every audience device shows the cue
+    // for where the session is (give or take toleranceMS, for cue changes)
+    expectCaptions({ label, from = 0, to = Infinity, toleranceMS = 100, devices = this.devices }) {
+        this.samples.filter(({ time }) => time >= from && time <= to).forEach(({ time, position, captions }) => {
+            if (position === null) return;
+
+            const acceptable = [position - toleranceMS / 1000, position + toleranceMS / 1000].map(t => `second ${Math.floor(t)}`);
+            devices.forEach(({ name }) => {
+                const shown = captions[name];
+                this.expect(acceptable.includes(shown), `${label}: ${name} showed "${shown}" at ${position.toFixed(2)}s, ${time}ms`);
+            });
+        });
+    }
+
+    // every device's volume is where the model says it should be by now
+    expectVolumes({ label, from = 0, to = Infinity, tolerance = 0.02, devices = this.devices }) {
+        this.samples.filter(({ time }) => time >= from && time <= to).forEach(({ time, volumes }) => {
+            devices.forEach(({ name }) => {
+                const [actual, expected] = volumes[name];
+                this.expect(actual !== null && Math.abs(actual - expected) <= tolerance, `${label}: ${name} volume ${actual}, rather than ${expected.toFixed(3)}, at ${time}ms`);
+            });
+        });
+    }
+
+    expectSilent({ label, from, to, names }) {
+        this.samples.filter(({ time }) => time >= from && time <= to).forEach(({ time, errors }) => {
+            names.forEach(name => this.expect(errors[name] === null, `${label}: ${name} not silent at ${time}ms`));
+        });
+    }
+}
+
+// drives a drift controller against media whose timing is worked out
+// exactly: it starts offsetMS off where it should be, and runs drift (a
+// proportion) fast on top of the controller's boost.  disturbances moves it
+// by a further { timeMS: offsetMS }.  a jump lands jumpLostTime short of
+// where it was aimed.  returns each check's decision, with the diff it left.
+function driveController(policy, { offsetMS = 0, drift = 0, seconds = 60, stepMS = 1000, disturbances = {} } = {}) {
+    const controller = makeDriftController(policy);
+    controller.reset(0);
+    let expected = 10, actual = expected + offsetMS / 1000;
+    const checks = [];
+    for (let now = stepMS; now <= seconds * 1000; now += stepMS) {
+        expected += stepMS / 1000;
+        actual += (1 + drift) * (1 + controller.boost / 100) * stepMS / 1000 + (disturbances[now] || 0) / 1000;
+        const decision = controller.update(now, expected, actual);
+        if (decision.jumpTo !== undefined) actual = decision.jumpTo - controller.options.jumpLostTime;
+        checks.push({ now, ...decision, leftMS: Math.round((actual - expected) * 1000) });
+    }
+    return { controller, checks };
+}
+
+// the sample media is fetched whole - or with stream, streamed, as if added
+// by URL to be; with upload, the conductor uploads it instead
+async function setUp({ seed = 1, mediaDuration = 120, audioDuration, captions = false, stems, stream = false, upload = false, audience = AUDIENCE } = {}) {
+    const sim = await Simulation.create({ seed, mediaDuration, audioDuration, captions, stems, stream, upload });
+    const conductor = sim.addConductor(CONDUCTOR);
+    const devices = audience.map(options => sim.addAudience(options));
+    await sim.run(1000); // let everything load
+    if (upload) {
+        sim.upload(conductor, { video: 'sim:video', audio: ['sim:audio'], stems: (stems || []).map(label => `sim:stem-${label}`) });
+        await sim.run(1000);
+    }
+    return { sim, conductor, devices, recorder: new Recorder(sim, [conductor, ...devices]) };
+}
+
+export const SCENARIOS = {
+    async play() {
+        const { sim, conductor, recorder } = await setUp();
+        [NaN, '1.5', null].forEach(rate => conductor.run(() => conductor.view.publishControl('set-rate', { rate })));
+        await recorder.run(500);
+        recorder.expect(sim.model.rate === 1, `bad rates: rate ${sim.model.rate}`);
+        sim.click(conductor);
+        await recorder.run(60000);
+        recorder.stats = recorder.expectConverged({ label: "steady play", settleMS: 20000, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    // the conductor role goes to the first conductor page, and is handed on
+    // only when its holder agrees - or leaves - while the audience plays on
+    async 'conductor-role'() {
+        const { sim, conductor, recorder } = await setUp();
+        const backup = sim.addConductor({ ...CONDUCTOR, name: 'backup' });
+        const control = (device, event, data) => device.run(() => device.view.publishControl(event, data));
+        const expectRole = (label, holder, requester) => {
+            const { conductorId, roleRequestId } = sim.model;
+            const name = viewId => ({ [conductor.viewId]: "conductor", [backup.viewId]: "backup" }[viewId] || viewId);
+            recorder.expect(conductorId === (holder && holder.viewId) && roleRequestId === (requester ? requester.viewId : null), `${label}: held by ${name(conductorId)}, requested by ${name(roleRequestId)}`);
+        };
+        sim.click(conductor);
+        await recorder.run(1000);
+        expectRole("started", conductor, null);
+        control(backup, 'claim-role');
+        control(backup, 'set-rate', { rate: 1.5 });
+        await recorder.run(1000);
+        expectRole("claimed while held", conductor, null);
+        recorder.expect(sim.model.rate === 1, `backup's control: rate ${sim.model.rate}`);
+
+        control(backup, 'request-role');
+        await recorder.run(1000);
+        expectRole("requested", conductor, backup);
+        control(backup, 'grant-role', { to: backup.viewId });
+        await recorder.run(1000);
+        expectRole("granted by the requester", conductor, backup);
+        control(conductor, 'decline-role');
+        await recorder.run(1000);
+        expectRole("declined", conductor, null);
+
+        control(backup, 'request-role');
+        await recorder.run(1000);
+        control(conductor, 'grant-role', { to: backup.viewId });
+        await recorder.run(1000);
+        expectRole("granted", backup, null);
+        control(conductor, 'set-rate', { rate: 1.5 });
+        await recorder.run(1000);
+        recorder.expect(sim.model.rate === 1, `former conductor's control: rate ${sim.model.rate}`);
+
+        control(conductor, 'request-role');
+        await recorder.run(1000);
+        expectRole("requested back", backup, conductor);
+        sim.leave(backup);
+        await recorder.run(1000);
+        expectRole("holder left", conductor, null);
+        recorder.expect(sim.model.isPlaying, "handed over: stopped playing");
+        await recorder.run(30000);
+        recorder.stats = recorder.expectConverged({ label: "through the handovers", settleMS: 20000, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    // the same, with the session on the proportional-integral policy
+    async 'pi-policy'() {
+        const { sim, conductor, devices, recorder } = await setUp();
+        ['nonsense', 'toString', null].forEach(policy => conductor.run(() => conductor.view.publishControl('set-drift-policy', { policy })));
+        await recorder.run(500);
+        recorder.expect(sim.model.driftPolicy === 'stepped', `bad policies: ${sim.model.driftPolicy}`);
+        conductor.run(() => conductor.view.publishControl('set-drift-policy', { policy: 'pi' }));
+        await recorder.run(500);
+        devices.forEach(device => recorder.expect(device.view.driftController instanceof PIDriftController, `pi: ${device.name} using ${device.view.driftController.constructor.name}`));
+        sim.click(conductor);
+        await recorder.run(60000);
+        recorder.stats = recorder.expectConverged({ label: "steady play", settleMS: 20000, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    async 'pause-resume'() {
+        const { sim, conductor, devices, recorder } = await setUp();
+        sim.click(conductor);
+        await recorder.run(30000);
+        sim.click(conductor); // pause
+        await recorder.run(5000);
+        recorder.expectSilent({ label: "paused", from: sim.time - 4000, to: sim.time, names: devices.map(({ name }) => name) });
+        recorder.expect(!sim.model.isPlaying, "paused: model still playing");
+        sim.click(conductor); // resume
+        await recorder.run(35000);
+        recorder.stats = recorder.expectConverged({ label: "after resume", from: sim.time - 35000, settleMS: 20000, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    // a seek while playing should move every device at once, not once its
+    // drift controller's jump cooldown has run out
+    async scrub() {
+        const { sim, conductor, recorder } = await setUp();
+        sim.click(conductor);
+        await recorder.run(30000);
+        for (const proportion of [0.25, 0.8]) {
+            sim.scrub(conductor, proportion);
+            const scrubbedAt = sim.time;
+            await recorder.run(20000);
+            recorder.expect(sim.model.isPlaying, `scrub to ${proportion}: playback stopped`);
+            recorder.expectWithin({ label: `scrub to ${proportion}`, from: scrubbedAt + 2000, to: scrubbedAt + 6000, maxMS: 250 });
+        }
+        recorder.stats = recorder.expectConverged({ label: "after scrubs", settleMS: 15000, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    // a single 30s item, looping: every device should follow each restart
+    async loop() {
+        const { sim, conductor, recorder } = await setUp({ mediaDuration: 30 });
+        // nonsense is ignored, leaving the session looping
+        [{ mode: 'shuffle' }, { mode: 'repeat', count: 2.5 }, { mode: 'repeat', count: NaN }, { mode: 'repeat' }, { mode: 'once', count: -1 }].forEach(data => {
+            conductor.run(() => conductor.view.publishControl('set-loop-mode', data));
+        });
+        await recorder.run(500);
+        recorder.expect(sim.model.loopMode === 'loop' && sim.model.repeatCount === 2, `bad loop modes: ${sim.model.loopMode}, ${sim.model.repeatCount}`);
+        sim.click(conductor);
+        await recorder.run(100000);
+        const restarts = sim.modelEvents.filter(({ event }) => event === 'play-state-changed').length - 1;
+        recorder.expect(restarts >= 3, `loop: only ${restarts} restarts`);
+        recorder.stats = recorder.expectConverged({ label: "looping", settleMS: 15000, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    // the conductor's media keys do nothing until there's something to
+    // play, then play and pause the session like a click
+    async 'media-keys'() {
+        const sim = await Simulation.create({ mediaDuration: 120 });
+        const conductor = sim.addConductor(CONDUCTOR);
+        const press = action => conductor.run(() => conductor.navigator.mediaSession.handlers[action]());
+        press('play');
+        press('pause');
+        const devices = AUDIENCE.map(options => sim.addAudience(options));
+        const recorder = new Recorder(sim, [conductor, ...devices]);
+        await recorder.run(1000);
+        recorder.expect(!sim.model.isPlaying, "before loading: playing");
+        press('play');
+        await recorder.run(30000);
+        recorder.expect(sim.model.isPlaying, "play key: not playing");
+        recorder.stats = recorder.expectConverged({ label: "after play key", settleMS: 20000, p95MS: 100, maxMS: 150 });
+        press('pause');
+        await recorder.run(3000);
+        recorder.expect(!sim.model.isPlaying, "pause key: still playing");
+        return recorder;
+    },
+
+    // a device whose browser blocks play stays silent, and says so, until
+    // it's tapped; then it catches up
+    async blocked() {
+        const audience = AUDIENCE.map(options => (options.name === 'phone-a' ? { ...options, blocked: true } : options));
+        const { sim, conductor, devices, recorder } = await setUp({ audience });
+        const blockedDevice = devices.find(({ name }) => name === 'phone-a');
+        sim.click(conductor);
+        await recorder.run(12000);
+        recorder.expectSilent({ label: "blocked", from: 2000, to: sim.time, names: ['phone-a'] });
+        const device = sim.model.devices[blockedDevice.viewId];
+        recorder.expect(device && device.blocked, "blocked: not reported as blocked");
+        sim.tap(blockedDevice);
+        const tappedAt = sim.time;
+        await recorder.run(40000);
+        recorder.expect(!sim.model.devices[blockedDevice.viewId].blocked, "blocked: still reported as blocked after tap");
+        recorder.stats = recorder.expectConverged({ label: "after tap", from: tappedAt + 25000, settleMS: 0, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    // devices that start themselves at a scheduled time should be together
+    // from the outset, rather than having to catch up
+    async 'scheduled-start'() {
+        const { sim, conductor, recorder } = await setUp();
+        conductor.run(() => {
+            conductor.view.startDelayElem.value = '3';
+            conductor.view.scheduleStartElem.onclick();
+        });
+        await recorder.run(2000);
+        recorder.expectSilent({ label: "countdown", from: 0, to: sim.time, names: recorder.devices.map(({ name }) => name) });
+        await recorder.run(20000);
+        recorder.expect(sim.model.isPlaying, "scheduled start: not playing");
+        const startedAt = sim.modelEvents.find(({ event }) => event === 'play-state-changed').time;
+        recorder.expectWithin({ label: "just after the start", from: startedAt + 500, to: startedAt + 3000, maxMS: 150 });
+        recorder.stats = recorder.expectConverged({ label: "after the start", settleMS: 10000, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    // entries can be added, moved, jumped to and removed, with the session
+    // keeping track of the current one throughout; indices that don't point
+    // into the playlist are ignored
+    async playlist() {
+        const { sim, conductor, devices, recorder } = await setUp();
+        const control = (event, data) => conductor.run(() => conductor.view.publishControl(event, data));
+        const expectPlaylist = (label, expected, current) => {
+            const names = sim.model.playlist.map(({ audioTracks }) => audioTracks[0].name).join(', ');
+            recorder.expect(names === expected && sim.model.currentIndex === current, `${label}: ${names}, at ${sim.model.currentIndex}`);
+        };
+        const { audio, video } = sim.views.ConductorView.sampleAssets;
+        control('add-to-playlist', { audio: { ...audio, name: "second" }, video });
+        control('add-to-playlist', { audio: { ...audio, name: "first" }, video, index: 0 });
+        await recorder.run(500);
+        expectPlaylist("added", "first, simAudio, second", 1);
+        control('move-in-playlist', { from: 1, to: 2 });
+        await recorder.run(500);
+        expectPlaylist("moved", "first, second, simAudio", 2);
+
+        control('jump-to-playlist-item', {});
+        control('jump-to-playlist-item', { index: 1.5 });
+        control('jump-to-playlist-item', { index: 3 });
+        control('move-in-playlist', { from: '0', to: 1 });
+        control('move-in-playlist', { from: 0 });
+        control('remove-from-playlist', {});
+        control('remove-from-playlist', { index: -1 });
+        await recorder.run(500);
+        expectPlaylist("bad indices", "first, second, simAudio", 2);
+
+        control('jump-to-playlist-item', { index: 0 });
+        await recorder.run(500);
+        sim.click(conductor);
+        await recorder.run(30000);
+        expectPlaylist("jumped", "first, second, simAudio", 0);
+        const removedAt = sim.time;
+        control('remove-from-playlist', { index: 0 });
+        await recorder.run(30000);
+        expectPlaylist("removed", "second, simAudio", 0);
+        recorder.expect(sim.model.isPlaying, "removed: stopped playing");
+        devices.forEach(device => recorder.expect(device.view.audioEntry === sim.model.playlist[0], `removed: ${device.name} not on the new entry`));
+        recorder.stats = recorder.expectConverged({ label: "after the removal", from: removedAt + 15000, settleMS: 0, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    // waveforms are summarised in a worker, once for each asset.  a worker
+    // that fails to load, or throws, fails the requests that it had, and the
+    // next request starts a new one.
+    async waveform() {
+        const { sim, recorder } = await setUp();
+        const { waveformFor } = await import('../../src/waveform.js');
+        const blob = new Blob([]);
+        const contextFor = samples => ({ decodeAudioData: (_data, resolve) => resolve({ numberOfChannels: 1, getChannelData: () => samples }) });
+        const undecodable = { decodeAudioData: (_data, _resolve, reject) => reject(Error("decoded again")) };
+        const outcome = async promise => {
+            let result = "still pending";
+            promise.then(value => (result = value), err => (result = err));
+            await sim.run(100);
+            return result;
+        };
+        const ramp = Float32Array.from({ length: 2000 }, (_, i) => i / 2000);
+        const unreadable = { length: 2000, get 0() { throw Error("unreadable sample"); }, slice() { return this; } };
+
+        const sample = await outcome(waveformFor(sim.views.ConductorView.sampleAssets.audio, blob, undecodable));
+        recorder.expect(!!sample.peaks, `sample audio: ${sample}, rather than the audience's waveform`);
+        const first = await outcome(waveformFor({ fileUrl: 'sim:ramp' }, blob, contextFor(ramp)));
+        recorder.expect(first.peaks && first.peaks.length === 1000 && Math.abs(first.peaks[999] - 0.9995) < 1e-6, `ramp: ${first.peaks ? `${first.peaks.length} peaks, ending ${first.peaks[999]}` : first}`);
+
+        const started = FakeWorker.created;
+        const thrown = await outcome(waveformFor({ fileUrl: 'sim:unreadable' }, blob, contextFor(unreadable)));
+        recorder.expect(thrown instanceof Error, `worker throwing: ${thrown}`);
+        FakeWorker.failLoads = 1;
+        const unloaded = await outcome(waveformFor({ fileUrl: 'sim:ramp-2' }, blob, contextFor(ramp)));
+        recorder.expect(unloaded instanceof Error, `worker not loading: ${unloaded}`);
+        const retried = await outcome(waveformFor({ fileUrl: 'sim:ramp-2' }, blob, contextFor(ramp)));
+        recorder.expect(!!retried.peaks && FakeWorker.created === started + 2, `after the failures: ${retried}, with ${FakeWorker.created - started} new workers`);
+        return recorder;
+    },
+
+    // a start can't be scheduled without a proper delay; and one scheduled
+    // for an entry that is then removed - leaving the playlist empty - never
+    // happens
+    async 'scheduled-start-guards'() {
+        const { sim, conductor, recorder } = await setUp();
+        const schedule = delay => conductor.run(() => conductor.view.publishControl('schedule-start', { delay }));
+        [undefined, NaN, '3000'].forEach(schedule);
+        await recorder.run(500);
+        recorder.expect(!sim.model.pendingStart, `bad delays: start pending at ${sim.model.pendingStart && sim.model.pendingStart.at}`);
+        schedule(3000);
+        await recorder.run(500);
+        recorder.expect(!!sim.model.pendingStart, "removed: no start pending");
+        conductor.run(() => conductor.view.publishControl('remove-from-playlist', { index: 0 }));
+        await recorder.run(5000);
+        const { playlist, isPlaying, pendingStart } = sim.model;
+        recorder.expect(playlist.length === 0 && !isPlaying && !pendingStart, `removed: ${playlist.length} entries, ${isPlaying ? "playing" : "paused"}, ${pendingStart ? "start pending" : "no start pending"}`);
+        return recorder;
+    },
+
+    // captions follow the session's position whether playing or paused,
+    // and move with scrubs in either state
+    async captions() {
+        const { sim, conductor, devices, recorder } = await setUp({ captions: true });
+        sim.click(conductor);
+        await recorder.run(15000);
+        sim.click(conductor); // pause
+        await recorder.run(3000);
+        sim.scrub(conductor, 0.5);
+        await recorder.run(3000);
+        sim.click(conductor); // resume
+        await recorder.run(10000);
+        sim.scrub(conductor, 0.2);
+        await recorder.run(10000);
+        recorder.expectCaptions({ label: "captions", devices });
+        return recorder;
+    },
+
+    // stems are dealt out evenly, including to a late joiner, and each
+    // device keeps in sync on its own stem - and on a new one, when the
+    // conductor moves it
+    async stems() {
+        const { sim, conductor, devices, recorder } = await setUp({ stems: ['left', 'right'], upload: true });
+        const expectStems = label => {
+            const { stemAssignments } = sim.model;
+            devices.forEach(device => {
+                const { audioTrack } = device.view;
+                recorder.expect(audioTrack && audioTrack.label === stemAssignments[device.viewId], `${label}: ${device.name} playing ${audioTrack && audioTrack.label}, assigned ${stemAssignments[device.viewId]}`);
+            });
+            return ['left', 'right'].map(stem => Object.values(stemAssignments).filter(assigned => assigned === stem).length);
+        };
+        const counts = expectStems("dealt");
+        recorder.expect(counts[0] === 2 && counts[1] === 2, `dealt: ${counts} rather than 2,2`);
+
+        sim.click(conductor);
+        await recorder.run(20000);
+        const [phoneA] = devices;
+        const moveTo = sim.model.stemAssignments[phoneA.viewId] === 'left' ? 'right' : 'left';
+        conductor.run(() => conductor.view.publishControl('assign-stem', { target: phoneA.viewId, label: moveTo }));
+        const latecomer = sim.addAudience({ name: 'latecomer', engine: 'webaudio', clockOffsetMS: 8, clockJitterMS: 3, media: { drift: 0.001 } });
+        devices.push(latecomer);
+        recorder.devices.push(latecomer);
+        const movedAt = sim.time;
+        await recorder.run(40000);
+        recorder.expect(sim.model.stemAssignments[phoneA.viewId] === moveTo, `moved: ${phoneA.name} not assigned ${moveTo}`);
+        const newCounts = expectStems("after moving");
+        recorder.expect(Math.abs(newCounts[0] - newCounts[1]) === 1, `after moving: ${newCounts} out of balance`);
+        recorder.stats = recorder.expectConverged({ label: "after moving", from: movedAt + 20000, settleMS: 0, p95MS: 100, maxMS: 150 });
+
+        // moving on to another entry fetches each device's stem for it once,
+        // not once for the new assignment and again for the new entry
+        sim.upload(conductor, { video: 'sim:video', audio: ['sim:audio'], stems: ['sim:stem-left', 'sim:stem-right'] });
+        await recorder.run(1000);
+        const fetchedBefore = devices.map(device => device.fetched.length);
+        conductor.run(() => conductor.view.publishControl('jump-to-playlist-item', { index: 1 }));
+        await recorder.run(20000);
+        devices.forEach((device, i) => {
+            const fetches = device.fetched.length - fetchedBefore[i];
+            recorder.expect(fetches === 1, `next entry: ${device.name} fetched ${fetches} times`);
+        });
+        expectStems("next entry");
+        return recorder;
+    },
+
+    // fades of the master level, a group's and a device's, which every
+    // device should follow in step
+    async fades() {
+        const { sim, conductor, devices, recorder } = await setUp({ stems: ['left', 'right'] });
+        const fade = (seconds, ...args) => conductor.run(() => {
+            conductor.view.fadeSecondsElem.value = String(seconds);
+            conductor.view.fadeTo(...args);
+        });
+        sim.click(conductor);
+        await recorder.run(10000);
+        const fadesFrom = sim.time;
+        fade(5, 'master', null, 0);
+        await recorder.run(7000);
+        recorder.expect(sim.model.volumeFor(devices[0].viewId, sim.time) === 0, "fade out: not silent");
+        fade(4, 'master', null, 1, 0);
+        await recorder.run(2000);
+        fade(0, 'group', 'left', 0.5);
+        fade(2, 'device', devices[1].viewId, 0.25);
+        await recorder.run(6000);
+        const phoneB = devices[1];
+        const group = sim.model.stemAssignments[phoneB.viewId];
+        const expected = (group === 'left' ? 0.5 : 1) * 0.25;
+        recorder.expect(Math.abs(sim.model.volumeFor(phoneB.viewId, sim.time) - expected) < 1e-9, `levels: ${phoneB.name} at ${sim.model.volumeFor(phoneB.viewId, sim.time)}, not ${expected}`);
+        recorder.expectVolumes({ label: "fading", from: fadesFrom, devices });
+        return recorder;
+    },
+
+    // a device that fetches a file other than the one the conductor
+    // described reports it, and the conductor sees the report.  it doesn't
+    // stop anyone playing.
+    async 'corrupt-file'() {
+        const audience = AUDIENCE.map(options => (options.name === 'phone-b' ? { ...options, media: { ...options.media, truncated: true } } : options));
+        const { sim, conductor, devices, recorder } = await setUp({ audience });
+        const phoneB = devices.find(({ name }) => name === 'phone-b');
+        const problems = sim.model.assetProblems;
+        const kinds = problems.filter(({ viewId }) => viewId === phoneB.viewId).map(({ kind }) => kind).sort();
+        recorder.expect(kinds.join() === 'duration,hash', `reported: ${kinds.join() || "nothing"} for phone-b, rather than duration and hash`);
+        recorder.expect(problems.every(({ viewId }) => viewId === phoneB.viewId), `reported: problems from other devices (${problems.map(({ viewId }) => viewId).join()})`);
+        recorder.expect(conductor.view.problemsElem.children.length === problems.length, `reported: ${conductor.view.problemsElem.children.length} shown to the conductor, of ${problems.length}`);
+        sim.click(conductor);
+        await recorder.run(5000);
+        recorder.expect(sim.model.isPlaying, "corrupt file: playback refused");
+        return recorder;
+    },
+
+    // with the start gate on, play waits for enough of the audience to be
+    // ready - here, for a phone that's slow to load, but not for a tablet
+    // that needs a tap - or else for the time limit
+    async 'readiness-gate'() {
+        const audience = AUDIENCE.map(options => {
+            if (options.name === 'phone-a') return { ...options, media: { ...options.media, loadMS: 8000 } };
+            if (options.name === 'tablet') return { ...options, blocked: true };
+            return options;
+        });
+        const { sim, conductor, devices, recorder } = await setUp({ audience });
+        const [phoneA, , , tablet] = devices;
+        const lifecycles = () => devices.map(({ name, viewId }) => `${name} ${sim.model.devices[viewId] && sim.model.devices[viewId].lifecycle}`).join(', ');
+        const setGate = (percent, seconds) => conductor.run(() => {
+            const { view } = conductor;
+            view.startGateElem.checked = true;
+            view.gatePercentElem.value = String(percent);
+            view.gateSecondsElem.value = String(seconds);
+            view.startGateElem.onchange();
+        });
+        recorder.expect(lifecycles() === 'phone-a fetching, phone-b ready, laptop ready, tablet decoded', `loading: ${lifecycles()}`);
+
+        setGate(75, 20);
+        await recorder.run(500); // for the setting to come back from the reflector
+        sim.click(conductor);
+        await recorder.run(5000);
+        recorder.expect(!sim.model.isPlaying && !!sim.model.heldStart, "held: not holding for phone-a");
+        recorder.expect(conductor.view.devicesSummaryElem.textContent.startsWith('2/4 ready'), `held: summary "${conductor.view.devicesSummaryElem.textContent}"`);
+        await recorder.run(5000);
+        recorder.expect(sim.model.isPlaying, "held: not started once phone-a was ready");
+        const startedAt = sim.modelEvents.find(({ event }) => event === 'play-state-changed').time;
+        recorder.expect(startedAt >= 8000, `held: started at ${startedAt}ms, before phone-a was ready`);
+        recorder.expectSilent({ label: "held", from: 0, to: startedAt, names: devices.map(({ name }) => name) });
+        await recorder.run(20000);
+        recorder.expect(lifecycles() === 'phone-a playing, phone-b playing, laptop playing, tablet blocked', `playing: ${lifecycles()}`);
+
+        sim.click(conductor); // pause
+        await recorder.run(2000);
+        setGate(100, 5);
+        await recorder.run(500);
+        sim.click(conductor);
+        const heldAt = sim.time;
+        await recorder.run(3000);
+        recorder.expect(!sim.model.isPlaying, "time limit: started without the tablet");
+        await recorder.run(3000);
+        recorder.expect(sim.model.isPlaying, "time limit: still waiting");
+        sim.tap(tablet);
+        await recorder.run(30000);
+        recorder.expect(sim.model.audienceReadiness().ready === 4, `after tap: ${lifecycles()}`);
+        recorder.expect(!!phoneA.view.audioView, "phone-a never loaded");
+        recorder.stats = recorder.expectConverged({ label: "after the time limit", from: heldAt + 25000, settleMS: 0, p95MS: 100, maxMS: 150 });
+
+        // the lifecycle reports along the way mustn't confuse the timing of
+        // the timing reports: a round trip is little more than the uplink
+        devices.forEach(device => {
+            const latencies = sim.modelEvents.filter(({ event, data }) => event === 'audience-report' && data.viewId === device.viewId).map(({ data }) => data.latency || 0);
+            const worst = Math.max(...latencies);
+            recorder.expect(worst <= device.uplinkMS + 100, `report latency: ${device.name} reported ${worst}ms`);
+        });
+        return recorder;
+    },
+
+    // a device whose fetches fail retries on its own, with growing waits,
+    // and plays in sync once it gets the audio.  one that runs out of
+    // retries says so, and is listed as failed for the conductor, until
+    // its user retries by hand.
+    async 'load-failures'() {
+        const audience = AUDIENCE.map(options => {
+            if (options.name === 'phone-b') return { ...options, media: { ...options.media, failures: 2 } };
+            if (options.name === 'laptop') return { ...options, media: { ...options.media, failures: 1000 } };
+            return options;
+        });
+        const { sim, conductor, devices, recorder } = await setUp({ audience });
+        const [phoneA, phoneB, laptop, tablet] = devices;
+        const status = device => device.document.getElementById('loading-status').textContent;
+        const retryShown = device => device.document.getElementById('retry').style.display !== 'none';
+        const lifecycle = device => sim.model.devices[device.viewId].lifecycle;
+        recorder.expect(lifecycle(phoneB) === 'failed' && /^Couldn't download simAudio/.test(sim.model.devices[phoneB.viewId].error), `first failure: phone-b ${lifecycle(phoneB)}, "${sim.model.devices[phoneB.viewId].error}"`);
+        recorder.expect(/trying again in \ds$/.test(status(phoneB)), `first failure: phone-b shows "${status(phoneB)}"`);
+
+        sim.click(conductor);
+        await recorder.run(3000);
+        recorder.expect(lifecycle(phoneB) === 'playing' && status(phoneB) === '' && !retryShown(phoneB), `retried: phone-b ${lifecycle(phoneB)}, showing "${status(phoneB)}"`);
+        await recorder.run(37000);
+        recorder.expect(lifecycle(laptop) === 'failed' && retryShown(laptop) && !/trying again/.test(status(laptop)), `given up: laptop ${lifecycle(laptop)}, showing "${status(laptop)}"`);
+        recorder.expect(/1 failed/.test(conductor.view.devicesSummaryElem.textContent), `given up: summary "${conductor.view.devicesSummaryElem.textContent}"`);
+        recorder.stats = recorder.expectConverged({ label: "with retries", settleMS: 20000, p95MS: 100, maxMS: 150, devices: [phoneA, phoneB, tablet] });
+
+        laptop.media.failures = 0;
+        laptop.run(() => laptop.document.getElementById('retry').onclick());
+        const retriedAt = sim.time;
+        await recorder.run(30000);
+        recorder.expect(lifecycle(laptop) === 'playing', `retried by hand: laptop ${lifecycle(laptop)}`);
+        recorder.expectConverged({ label: "after retrying by hand", from: retriedAt + 10000, settleMS: 0, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    // media added by URL, to be streamed, is never fetched whole: every
+    // device (webaudio ones included) plays it on an audio element, and a
+    // latecomer asks for the media from where the session has got to, not
+    // from the beginning.
+    async streaming() {
+        const { sim, conductor, devices, recorder } = await setUp({ stream: true });
+        sim.click(conductor);
+        const playedAt = sim.time;
+        await recorder.run(30000);
+        const latecomer = sim.addAudience({ name: 'latecomer', engine: 'webaudio', clockOffsetMS: 8, clockJitterMS: 3, media: { drift: 0.001 } });
+        devices.push(latecomer);
+        recorder.devices.push(latecomer);
+        const joinedAt = sim.time;
+        await recorder.run(40000);
+        [conductor, ...devices].forEach(device => recorder.expect(device.fetched.length === 0, `streamed: ${device.name} fetched ${device.fetched.join(", ")}`));
+        devices.forEach(device => recorder.expect(device.view.audioView && device.view.audioView.engine === 'element', `streamed: ${device.name} on ${device.view.audioView && device.view.audioView.engine}`));
+        const [firstRange] = latecomer.ranges;
+        recorder.expect(firstRange !== undefined && Math.abs(firstRange - (joinedAt - playedAt) / 1000) < 5, `latecomer: first asked for media at ${firstRange}s, ${(joinedAt - playedAt) / 1000}s into the session`);
+        recorder.stats = recorder.expectConverged({ label: "streamed", from: joinedAt + 20000, settleMS: 0, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    // the sample media, not being streamed, is fetched whole, once by each
+    // audience device, and webaudio devices play it on the Web Audio engine
+    async 'sample-media'() {
+        const { sim, conductor, devices, recorder } = await setUp();
+        sim.click(conductor);
+        await recorder.run(40000);
+        recorder.expect(conductor.streams.length === 0, `sample media: the conductor streamed ${conductor.streams.join(", ")}`);
+        devices.forEach(device => {
+            recorder.expect(device.streams.length === 0 && device.fetched.length === 1, `sample media: ${device.name} fetched ${device.fetched.join(", ") || "nothing"}, streamed ${device.streams.join(", ") || "nothing"}`);
+        });
+        devices.forEach(device => recorder.expect(device.view.audioView && device.view.audioView.engine === device.engine, `sample media: ${device.name} on ${device.view.audioView && device.view.audioView.engine}`));
+        recorder.stats = recorder.expectConverged({ label: "sample media", settleMS: 20000, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    // media that the conductor uploads to shared storage is fetched whole,
+    // once by each device, and played on whichever engine the device has
+    // chosen
+    async uploaded() {
+        const { sim, conductor, devices, recorder } = await setUp({ upload: true });
+        sim.click(conductor);
+        await recorder.run(40000);
+        [conductor, ...devices].forEach(device => {
+            recorder.expect(device.streams.length === 0 && device.fetched.length === 1, `uploaded: ${device.name} fetched ${device.fetched.join(", ") || "nothing"}, streamed ${device.streams.join(", ") || "nothing"}`);
+        });
+        devices.forEach(device => recorder.expect(device.view.audioView && device.view.audioView.engine === device.engine, `uploaded: ${device.name} on ${device.view.audioView && device.view.audioView.engine}`));
+        recorder.stats = recorder.expectConverged({ label: "uploaded", settleMS: 20000, p95MS: 100, maxMS: 150 });
+        return recorder;
+    },
+
+    // not a simulation: each drift policy on its own, through a step in the
+    // timing, a steady drift, and offsets either side of the jump threshold
+    async 'drift-controllers'() {
+        const recorder = new Recorder(null, []);
+        for (const policy of Object.keys(DRIFT_POLICIES)) {
+            const { checkIntervalMS, jumpThresholdMS, jumpCooldownMS } = makeDriftController(policy).options;
+            for (const offsetMS of [-200, 200]) {
+                const { checks } = driveController(policy, { offsetMS, seconds: 10 });
+                const firstChange = checks.find(({ oldBoost, boost }) => oldBoost !== undefined && boost !== oldBoost);
+                recorder.expect(firstChange && firstChange.now <= checkIntervalMS && Math.sign(firstChange.boost) === -Math.sign(offsetMS), `${policy}, ${offsetMS}ms step: first rate change ${firstChange ? `to ${firstChange.boost}% at ${firstChange.now}ms` : "never"}`);
+                const { leftMS } = checks[checks.length - 1];
+                recorder.expect(!checks.some(({ jumpTo }) => jumpTo !== undefined) && Math.abs(leftMS) <= Math.abs(offsetMS) / 2, `${policy}, ${offsetMS}ms step: ${leftMS}ms after 10s`);
+            }
+
+            const { checks: steady } = driveController(policy, { offsetMS: -300, drift: 0.001, seconds: 120 });
+            const worstMS = Math.max(...steady.slice(-30).map(({ diffMS }) => Math.abs(diffMS)));
+            recorder.expect(!steady.some(({ jumpTo }) => jumpTo !== undefined) && worstMS <= 50, `${policy}, drifting: ${worstMS}ms out over the last 30s`);
+
+            const { checks: under } = driveController(policy, { offsetMS: -jumpThresholdMS + 50, seconds: 5 });
+            recorder.expect(!under.some(({ jumpTo }) => jumpTo !== undefined), `${policy}, under the threshold: jumped`);
+            const { checks: over } = driveController(policy, { offsetMS: -jumpThresholdMS - 100, seconds: 15, disturbances: { 3000: -jumpThresholdMS * 4 } });
+            const jumps = over.filter(({ jumpTo }) => jumpTo !== undefined);
+            recorder.expect(jumps.length > 0 && jumps[0].now === 1000 && Math.abs(jumps[0].leftMS) <= 20, `${policy}, over the threshold: ${jumps.length ? `jumped at ${jumps[0].now}ms, leaving ${jumps[0].leftMS}ms` : "didn't jump"}`);
+            recorder.expect(!jumps.slice(1).some(({ now }) => now - jumps[0].now <= jumpCooldownMS), `${policy}, over the threshold: jumped again at ${jumps.slice(1).map(({ now }) => now).join(", ")}ms`);
+
+            // media running so slow that the boost has to stay at its limit
+            const { controller: pinned, checks: slow } = driveController(policy, { offsetMS: -300, drift: -0.1, seconds: 8 });
+            const maxBoost = pinned.options.maxBoost || pinned.options.steps[0].boost;
+            const boosts = slow.map(({ boost }) => boost);
+            recorder.expect(boosts.every(boost => boost <= maxBoost) && boosts.includes(maxBoost), `${policy}, clamping: boosts ${boosts.join(", ")}, limit ${maxBoost}`);
+        }
+        return recorder;
+    },
+
+    // not a simulation: the static server (tools/serve.js) that streamed
+    // entries can be tried out against, serving the sample audio by ranges
+    async 'range-server'() {
+        const recorder = new Recorder(null, []);
+        const root = new URL('../..', import.meta.url).pathname;
+        const server = createServer(root);
+        const corsServer = createServer(root, { cors: true });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        await new Promise(resolve => corsServer.listen(0, '127.0.0.1', resolve));
+        const get = (pathname, headers = {}, { port } = server.address()) => new Promise((resolve, reject) => {
+            http.get({ host: '127.0.0.1', port, path: pathname, headers }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, length: Buffer.concat(chunks).length }));
+            }).on('error', reject);
+        });
+        try {
+            const whole = await get('/assets/sampleAudio.mp3');
+            const size = whole.length;
+            recorder.expect(whole.status === 200 && whole.headers['accept-ranges'] === 'bytes' && whole.headers['content-type'] === 'audio/mpeg', `whole: ${whole.status}, ${whole.headers['accept-ranges']}, ${whole.headers['content-type']}`);
+            const part = await get('/assets/sampleAudio.mp3', { Range: 'bytes=1000-1999' });
+            recorder.expect(part.status === 206 && part.length === 1000 && part.headers['content-range'] === `bytes 1000-1999/${size}`, `range: ${part.status}, ${part.length} bytes, ${part.headers['content-range']}`);
+            const open = await get('/assets/sampleAudio.mp3', { Range: `bytes=${size - 10}-` });
+            recorder.expect(open.status === 206 && open.length === 10, `open range: ${open.status}, ${open.length} bytes`);
+            const suffix = await get('/assets/sampleAudio.mp3', { Range: 'bytes=-500' });
+            recorder.expect(suffix.status === 206 && suffix.headers['content-range'] === `bytes ${size - 500}-${size - 1}/${size}`, `suffix range: ${suffix.status}, ${suffix.headers['content-range']}`);
+            const beyond = await get('/assets/sampleAudio.mp3', { Range: `bytes=${size}-` });
+            recorder.expect(beyond.status === 416 && beyond.headers['content-range'] === `bytes */${size}`, `beyond the end: ${beyond.status}, ${beyond.headers['content-range']}`);
+            const outside = await get('/assets/..%2f..%2f..%2fetc%2fpasswd');
+            recorder.expect(outside.status === 404, `outside the root: ${outside.status}`);
+            const unreadable = await get(`/assets/${'x'.repeat(300)}.mp3`); // too long a name even to look up
+            recorder.expect(unreadable.status === 500, `unreadable path: ${unreadable.status}`);
+            const reversed = await get('/assets/sampleAudio.mp3', { Range: 'bytes=2000-1000' });
+            recorder.expect(reversed.status === 416, `reversed range: ${reversed.status}`);
+            for (const pathname of ['/.git/HEAD', '/package.json', '/src/model.js']) {
+                const other = await get(pathname);
+                recorder.expect(other.status === 404, `${pathname}: ${other.status}`);
+            }
+            recorder.expect(!('access-control-allow-origin' in whole.headers), `cross-origin access without --cors: ${whole.headers['access-control-allow-origin']}`);
+            const cross = await get('/assets/sampleAudio.mp3', {}, corsServer.address());
+            recorder.expect(cross.status === 200 && cross.headers['access-control-allow-origin'] === '*', `cross-origin access with --cors: ${cross.status}, ${cross.headers['access-control-allow-origin']}`);
+        } finally {
+            server.close();
+            corsServer.close();
+        }
+        return recorder;
+    },
+
+    // not a simulation: the report analysis reads what it can of a recording
+    // that was cut off part way through a line, saying which lines it skipped
+    async 'analyze-reports'() {
+        const recorder = new Recorder(null, []);
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-sync-'));
+        const file = path.join(dir, 'reports.jsonl');
+        const reports = [1000, 2000, 3000].map(teatime => JSON.stringify({ viewId: 'v1', teatime, audioDiffMS: 10, audioDiffMSSmoothed: 10 }));
+        fs.writeFileSync(file, [...reports, 'null', reports[0].slice(0, 20)].join('\n'));
+        const tool = new URL('../analyze-reports.js', import.meta.url).pathname;
+        try {
+            const { error, stdout, stderr } = await new Promise(resolve => {
+                execFile(process.execPath, [tool, file, '--json'], (err, out, errOut) => resolve({ error: err, stdout: out, stderr: errOut }));
+            });
+            recorder.expect(!error, `cut off: ${error && error.message}`);
+            const skipped = stderr.split('\n').filter(line => line.startsWith(file)).map(line => line.slice(file.length).split(':')[1]);
+            recorder.expect(skipped.join() === '4,5', `cut off: skipped lines ${skipped.join(", ") || "none"}`);
+            const [device] = error ? [] : JSON.parse(stdout).devices;
+            recorder.expect(device && device.reports === 3 && device.convergeMS === 2000, `cut off: ${JSON.stringify(device)}`);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+        return recorder;
+    },
+
+    // an entry whose audio and video lengths differ won't play
+    async 'mismatched-durations'() {
+        const { sim, conductor, recorder } = await setUp({ audioDuration: 100 });
+        recorder.expect(!!sim.model.playbackRefusal, "mismatch: not detected");
+        sim.click(conductor);
+        await recorder.run(5000);
+        recorder.expect(!sim.model.isPlaying, "mismatch: playing");
+        recorder.expect(sim.modelEvents.some(({ event }) => event === 'playback-refused'), "mismatch: no refusal");
+        recorder.expectSilent({ label: "mismatch", from: 1000, to: sim.time, names: recorder.devices.map(({ name }) => name) });
+        recorder.expect(conductor.view.problemsElem.style.display !== 'none', "mismatch: no warning for the conductor");
+        return recorder;
+    }
+};